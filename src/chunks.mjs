@@ -0,0 +1,74 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+// ---------- Chunked import files ----------
+// With a row or byte limit every import file is split into <name>.part-001.csv, ...
+// A product's rows (consecutive rows with the same ID) always stay in one part;
+// a product larger than the limit gets a part of its own.
+
+// Consecutive rows with the same "ID"
+function productGroups(rows) {
+  const groups = [];
+  for (const r of rows) {
+    const last = groups[groups.length - 1];
+    if (last && last[0].ID === r.ID) last.push(r);
+    else groups.push([r]);
+  }
+  return groups;
+}
+
+/**
+ * Splits import rows into chunks of at most maxRows rows / maxBytes bytes (null = no limit).
+ * headerBytes: size of the header line, bytesOf(rows): size of rows in the file.
+ * Returns [rows, ...] — at least one (possibly empty) chunk.
+ */
+export function splitChunks(rows, { maxRows = null, maxBytes = null, headerBytes = 0, bytesOf = () => 0 }) {
+  const chunks = [];
+  let cur = [];
+  let curBytes = headerBytes;
+  for (const group of productGroups(rows)) {
+    const bytes = maxBytes != null ? bytesOf(group) : 0;
+    const full = (maxRows != null && cur.length + group.length > maxRows)
+      || (maxBytes != null && curBytes + bytes > maxBytes);
+    if (cur.length && full) {
+      chunks.push(cur);
+      cur = [];
+      curBytes = headerBytes;
+    }
+    cur.push(...group);
+    curBytes += bytes;
+  }
+  chunks.push(cur);
+  return chunks;
+}
+
+export function chunkBaseName(baseName, index) {
+  return `${baseName}.part-${String(index + 1).padStart(3, "0")}`;
+}
+
+// Removes the file and the parts an earlier run wrote for baseName, so no stale part is uploaded
+export function removeStaleChunks(dir, baseName, ext) {
+  const escape = (x) => x.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const stale = new RegExp(`^${escape(baseName)}(\\.part-\\d{3})?${escape(ext)}$`);
+  for (const f of fs.readdirSync(dir)) {
+    if (stale.test(f)) fs.rmSync(path.join(dir, f));
+  }
+}
+
+// { bytes, sha256 } of a written file
+export async function fileDigest(filePath) {
+  const hash = crypto.createHash("sha256");
+  for await (const buf of fs.createReadStream(filePath)) hash.update(buf);
+  return { bytes: fs.statSync(filePath).size, sha256: hash.digest("hex") };
+}
+
+// Manifest entry of one written chunk
+export async function chunkEntry(filePath, rows) {
+  return {
+    file: path.basename(filePath),
+    products: new Set(rows.map(r => r.ID)).size,
+    rows: rows.length,
+    ...(await fileDigest(filePath)),
+  };
+}
@@ -0,0 +1,578 @@
+import { parseArgs } from "node:util";
+import { parseTagExpression } from "./scope.mjs";
+
+// Usage errors: printed with the command's usage instead of a stack trace, exit code 2.
+export class CliError extends Error {
+  constructor(message, usage = RUN_USAGE) {
+    super(message);
+    this.name = "CliError";
+    this.usage = usage;
+  }
+}
+
+export const TEST_TYPES = ["standard", "low-margin", "used"];
+export const PRICING_MODES = ["base", "per-variant"];
+export const FORMATS = ["csv", "xlsx"];
+export const OUTPUTS = ["preview", "only-changes", "full", "test", "rollback", "quarantine", "graphql", "plan", "decisions", "history", "margins", "report", "manifest"];
+
+// Default test mix (8/6/6 of 20) as shares of the test count
+const DEFAULT_TEST_SHARES = { standard: 0.4, "low-margin": 0.3, used: 0.3 };
+
+export const RUN_USAGE = `Usage: node src/matrixify-run.mjs [run] [options]
+       node src/matrixify-run.mjs apply [options]   (see apply --help)
+       node src/matrixify-run.mjs reconcile [options]   (see reconcile --help)
+       node src/matrixify-run.mjs explain <id|handle>... [options]   (see explain --help)
+       node src/matrixify-run.mjs diff [options]   (see diff --help)
+       node src/matrixify-run.mjs simulate [options]   (see simulate --help)
+       node src/matrixify-run.mjs verify [options]   (see verify --help)
+
+Options (environment fallback in brackets):
+  -i, --input <file>        Matrixify export, .csv or .xlsx ("Products" sheet) [INPUT_CSV]
+                            default: data/matrixify/Products.csv|.xlsx (or lower-case products)
+  -o, --out-dir <dir>       Output directory [OUT_DIR] (default: out)
+  -n, --test-count <n>      Products in the test import [TEST_COUNT] (default: 20)
+      --test-quotas <spec>  Products per type in the test import [TEST_QUOTAS]
+                            e.g. "standard=8,low-margin=6,used=6" (default: 40/30/30% of --test-count)
+      --test-seed <seed>    Seed for the test sample [TEST_SEED] (default: matrixify)
+      --test-exclude <list> Earlier test manifests (.json) or test import CSVs whose
+                            products are excluded, comma-separated [TEST_EXCLUDE]
+      --outputs <list>      Outputs to write [OUTPUTS] (default: all)
+                            ${OUTPUTS.join(", ")}
+                            (graphql = Shopify Admin GraphQL bulk files in <out-dir>/shopify,
+                             plan = planned change set for reconcile, <out-dir>/plan.jsonl,
+                             decisions = decision journal, <out-dir>/decisions.jsonl,
+                             history = run snapshot in <history-dir>/<run id>,
+                             manifest = import files with row counts and checksums, <out-dir>/manifest.json)
+      --history-dir <dir>   Run history directory [RUN_HISTORY_DIR] (default: history)
+  -f, --format <fmt>        Preview/import file format: csv | xlsx [OUTPUT_FORMAT] (default: csv)
+      --chunk-rows <n>      Split import files into parts of at most n rows [CHUNK_ROWS]
+      --chunk-bytes <size>  Split import files into parts of at most size bytes, e.g. 5MB, 500KB
+                            (csv only) [CHUNK_BYTES]; a product is never split across parts
+      --profile <name>      Pricing profile [PRICING_PROFILE] (default: default)
+      --profile-file <file> Pricing profile file [PRICING_PROFILE_FILE]
+      --tag-rules <file>    Tag rules (skip/force/type tags) [TAG_RULES_FILE]
+                            (default: config/tag-rules.json)
+      --markets <file>      Market configuration: per-market prices and as-low-as [MARKETS_FILE]
+                            (default: none, shop currency only)
+      --vat <file>          VAT model: classification and margins on net amounts [VAT_FILE]
+                            (default: none, amounts as in the export)
+      --stock-dates <file>  Stock-in dates for the profile's markdown, .csv or .xlsx [STOCK_DATES_FILE]
+                            (default: Created At / Published At of the export)
+      --mode <mode>         Pricing mode: base | per-variant [PRICING_MODE] (default: base)
+  -h, --help                Show this help
+
+Scope (include: all given filters must match; --exclude-*: any match excludes; lists
+comma-separated, case-insensitive). Products out of scope stay out of every import file.
+      --vendor <list>       Vendor column [SCOPE_VENDOR]
+      --product-type <list> Type column [SCOPE_PRODUCT_TYPE]
+      --collection <list>   Collection / Custom Collections / Smart Collections columns [SCOPE_COLLECTION]
+      --tags <expr>         Tag expression, e.g. "preloved AND NOT sale" [SCOPE_TAGS]
+      --status <list>       Status, e.g. "active,draft" [SCOPE_STATUS]
+      --ids <file>          File with product IDs or handles, one per line [SCOPE_IDS]
+      --exclude-vendor, --exclude-product-type, --exclude-collection, --exclude-tags,
+      --exclude-status, --exclude-ids   Same values, products matching are excluded
+                            [SCOPE_EXCLUDE_VENDOR, ...]
+`;
+
+export const APPLY_USAGE = `Usage: node src/matrixify-run.mjs apply [options]
+
+Sends the GraphQL bulk files of a run (--outputs graphql) to a Shopify Admin GraphQL endpoint.
+
+Options (environment fallback in brackets):
+  -d, --dir <dir>           Directory with the *.jsonl bulk files (default: out/shopify)
+      --endpoint <url>      GraphQL endpoint [SHOPIFY_GRAPHQL_URL], e.g.
+                            https://<shop>.myshopify.com/admin/api/2025-01/graphql.json
+                            Access token: [SHOPIFY_ACCESS_TOKEN]
+      --batch-size <n>      Operations per request [APPLY_BATCH_SIZE] (default: 10)
+      --max-retries <n>     Retries per request when throttled or 5xx (default: 5)
+      --log <file>          Result log, one JSON line per operation (default: <dir>/apply.log.jsonl)
+  -h, --help                Show this help
+`;
+
+export const RECONCILE_USAGE = `Usage: node src/matrixify-run.mjs reconcile [options]
+
+Compares a Matrixify export taken after the import with the planned change set of a run
+(plan.jsonl) and writes a report plus a follow-up import that retries only the mismatches.
+
+Options:
+  -i, --input <file>        Fresh Matrixify export, .csv or .xlsx (required)
+  -p, --plan <file>         Plan of the run (default: out/plan.jsonl)
+  -o, --out-dir <dir>       Output directory (default: out)
+      --only <list>         Only these products were imported: test manifests (.json) or
+                            import files, comma-separated (default: the whole plan)
+  -f, --format <fmt>        Retry import format: csv | xlsx (default: csv)
+  -h, --help                Show this help
+`;
+
+export const EXPLAIN_USAGE = `Usage: node src/matrixify-run.mjs explain <id|handle>... [options]
+
+Prints the full calculation of single products: base variant, M/C, classification, curve values,
+tag diff, change detection and the exact import rows.
+
+Options (environment fallback in brackets):
+  -i, --input <file>        Matrixify export, .csv or .xlsx [INPUT_CSV] (default: as for run)
+      --profile <name>      Pricing profile [PRICING_PROFILE] (default: default)
+      --profile-file <file> Pricing profile file [PRICING_PROFILE_FILE]
+      --tag-rules <file>    Tag rules (skip/force/type tags) [TAG_RULES_FILE]
+                            (default: config/tag-rules.json)
+      --markets <file>      Market configuration: per-market prices and as-low-as [MARKETS_FILE]
+                            (default: none, shop currency only)
+      --vat <file>          VAT model: classification and margins on net amounts [VAT_FILE]
+                            (default: none, amounts as in the export)
+      --stock-dates <file>  Stock-in dates for the profile's markdown, .csv or .xlsx [STOCK_DATES_FILE]
+                            (default: Created At / Published At of the export)
+      --mode <mode>         Pricing mode: base | per-variant [PRICING_MODE] (default: base)
+      --json                JSON instead of text
+  -h, --help                Show this help
+`;
+
+export const DIFF_USAGE = `Usage: node src/matrixify-run.mjs diff [options]
+
+Compares two runs of the run history: type transitions, price and as-low-as movements,
+new and removed products, and products whose type keeps flipping.
+
+Options (environment fallback in brackets):
+      --history-dir <dir>   Run history directory [RUN_HISTORY_DIR] (default: history)
+      --from <run id>       Older run (default: the second newest)
+      --to <run id>         Newer run (default: the newest)
+  -o, --out-dir <dir>       Output directory for diff.csv and oscillation.csv (default: out)
+  -k, --window <k>          Oscillation: look at the last k runs up to --to (default: 5)
+      --max-flips <n>       Oscillation: flag products whose type changed more than n times (default: 1)
+      --list                List the runs and exit
+  -h, --help                Show this help
+`;
+
+export const SIMULATE_USAGE = `Usage: node src/matrixify-run.mjs simulate [options]
+
+Runs the export through several pricing scenarios side by side and writes a comparison
+(no import files). The first scenario is the baseline; the baseline is compared with the
+export, every other scenario with the baseline.
+
+Options (environment fallback in brackets):
+  -i, --input <file>        Matrixify export, .csv or .xlsx [INPUT_CSV] (default: as for run)
+      --scenarios <list>    Pricing profiles to compare, comma-separated [PRICING_PROFILE]
+                            (default: default)
+      --set <spec>          Extra scenario = baseline with parameters replaced, repeatable:
+                            "<name>:<section>.<param>=<value>[,...]", e.g.
+                            "aff15:classification.aff_rate=0.15"
+                            "flat:standard.gamma_M=0,standard.rho=0.5"
+      --profile-file <file> Pricing profile file [PRICING_PROFILE_FILE]
+      --tag-rules <file>    Tag rules (skip/force/type tags) [TAG_RULES_FILE]
+                            (default: config/tag-rules.json)
+      --vat <file>          VAT model: classification and margins on net amounts [VAT_FILE]
+                            (default: none, amounts as in the export)
+      --stock-dates <file>  Stock-in dates for the profile's markdown, .csv or .xlsx [STOCK_DATES_FILE]
+                            (default: Created At / Published At of the export)
+      --mode <mode>         Pricing mode: base | per-variant [PRICING_MODE] (default: base)
+      --top <n>             Products that change most, per scenario (default: 20)
+  -o, --out-dir <dir>       Output directory (default: out)
+  -h, --help                Show this help
+`;
+
+export const VERIFY_USAGE = `Usage: node src/matrixify-run.mjs verify [options]
+
+Reads the generated Matrixify import files back and checks them against the export they were
+built from. Exits with code 1 and a violation list (<dir>/verify.report.csv) if any check fails.
+
+Options (environment fallback in brackets):
+  -i, --input <file>        Matrixify export, .csv or .xlsx [INPUT_CSV] (default: as for run)
+  -d, --dir <dir>           Directory with the matrixify.import.*.csv|.xlsx files [OUT_DIR] (default: out)
+      --files <list>        Only these import files, comma-separated (default: all in --dir)
+      --tag-rules <file>    Tag rules (skip/force/type tags) [TAG_RULES_FILE]
+                            (default: config/tag-rules.json)
+  -h, --help                Show this help
+`;
+
+function parsePositiveInt(name, raw, usage = RUN_USAGE, min = 1) {
+  const s = String(raw).trim();
+  if (!/^\d+$/.test(s) || Number(s) < min) {
+    throw new CliError(`${name}: muss eine ganze Zahl >= ${min} sein (ist "${raw}")`, usage);
+  }
+  return Number(s);
+}
+
+// "5MB", "500KB", "1048576" (KB/MB = 1024-based)
+const BYTE_UNITS = { "": 1, b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2 };
+
+function parseByteSize(name, raw, usage = RUN_USAGE) {
+  const m = /^(\d+(?:\.\d+)?)\s*([a-z]*)$/i.exec(String(raw).trim());
+  const unit = m ? BYTE_UNITS[m[2].toLowerCase()] : null;
+  const bytes = unit ? Math.floor(Number(m[1]) * unit) : 0;
+  if (!(bytes >= 1)) throw new CliError(`${name}: ungültig "${raw}" (z.B. 5MB, 500KB, 1048576)`, usage);
+  return bytes;
+}
+
+function parseFlags(argv, options, usage, allowPositionals = false) {
+  try {
+    return parseArgs({ args: argv, options, strict: true, allowPositionals });
+  } catch (err) {
+    throw new CliError(err.message, usage);
+  }
+}
+
+// Flag value, else environment variable, else null (empty strings count as unset)
+function pickOption(values, env, flag, envName) {
+  const x = values[flag] ?? (envName ? env[envName] : undefined);
+  return (x == null || String(x).trim() === "") ? null : String(x).trim();
+}
+
+function parseList(name, raw, allowed) {
+  const items = String(raw).split(",").map(x => x.trim()).filter(Boolean);
+  const unknown = items.filter(x => !allowed.includes(x));
+  if (unknown.length || !items.length) {
+    throw new CliError(`${name}: ungültig "${raw}" (erlaubt: ${allowed.join(", ")})`);
+  }
+  return [...new Set(items)];
+}
+
+function parseQuotas(raw) {
+  const quotas = Object.fromEntries(TEST_TYPES.map(t => [t, 0]));
+  for (const part of String(raw).split(",").map(x => x.trim()).filter(Boolean)) {
+    const m = part.match(/^([a-z-]+)=(\d+)$/);
+    if (!m || !TEST_TYPES.includes(m[1])) {
+      throw new CliError(`--test-quotas: ungültig "${part}" (erwartet z.B. "standard=8,low-margin=6,used=6")`);
+    }
+    quotas[m[1]] = Number(m[2]);
+  }
+  return quotas;
+}
+
+function defaultQuotas(testCount) {
+  const quotas = {};
+  let rest = testCount;
+  for (const t of TEST_TYPES) {
+    quotas[t] = Math.min(rest, Math.round(testCount * DEFAULT_TEST_SHARES[t]));
+    rest -= quotas[t];
+  }
+  quotas.standard += rest;
+  return quotas;
+}
+
+// Scope flag -> scope filter (scope.mjs); lists are split here, tags/ids are passed as given
+const SCOPE_FLAGS = {
+  vendor: "vendor",
+  "product-type": "productType",
+  collection: "collection",
+  tags: "tags",
+  status: "status",
+  ids: "ids",
+};
+const SCOPE_LIST_FILTERS = ["vendor", "productType", "collection", "status"];
+
+function parseScope(pick) {
+  const scope = { include: {}, exclude: {} };
+  for (const [flag, filter] of Object.entries(SCOPE_FLAGS)) {
+    for (const [kind, name] of [["include", flag], ["exclude", `exclude-${flag}`]]) {
+      const raw = pick(name, `SCOPE_${name.toUpperCase().replace(/-/g, "_")}`);
+      if (raw == null) continue;
+      if (filter === "tags") {
+        try {
+          parseTagExpression(raw);
+        } catch (err) {
+          throw new CliError(`--${name}: ${err.message}`);
+        }
+      }
+      if (!SCOPE_LIST_FILTERS.includes(filter)) {
+        scope[kind][filter] = raw;
+        continue;
+      }
+      const list = raw.split(",").map(x => x.trim()).filter(Boolean);
+      if (!list.length) throw new CliError(`--${name}: leere Liste`);
+      scope[kind][filter] = list;
+    }
+  }
+  return scope;
+}
+
+/**
+ * Parses the run options from argv, with environment variables as fallbacks.
+ * Returns null when --help was requested.
+ */
+export function parseRunOptions(argv, env = process.env) {
+  const { values: v } = parseFlags(argv, {
+    input: { type: "string", short: "i" },
+    "out-dir": { type: "string", short: "o" },
+    "test-count": { type: "string", short: "n" },
+    "test-quotas": { type: "string" },
+    "test-seed": { type: "string" },
+    "test-exclude": { type: "string" },
+    outputs: { type: "string" },
+    format: { type: "string", short: "f" },
+    profile: { type: "string" },
+    "profile-file": { type: "string" },
+    "tag-rules": { type: "string" },
+    markets: { type: "string" },
+    vat: { type: "string" },
+    "stock-dates": { type: "string" },
+    mode: { type: "string" },
+    "history-dir": { type: "string" },
+    "chunk-rows": { type: "string" },
+    "chunk-bytes": { type: "string" },
+    ...Object.fromEntries(Object.keys(SCOPE_FLAGS).flatMap(f => [[f, { type: "string" }], [`exclude-${f}`, { type: "string" }]])),
+    help: { type: "boolean", short: "h" },
+  }, RUN_USAGE);
+  if (v.help) return null;
+
+  const pick = (flag, envName) => pickOption(v, env, flag, envName);
+
+  const testCountRaw = pick("test-count", "TEST_COUNT");
+  const testCount = testCountRaw == null ? 20 : parsePositiveInt("--test-count", testCountRaw);
+
+  const quotasRaw = pick("test-quotas", "TEST_QUOTAS");
+  const testQuotas = quotasRaw == null ? defaultQuotas(testCount) : parseQuotas(quotasRaw);
+
+  const outputsRaw = pick("outputs", "OUTPUTS");
+  const outputs = outputsRaw == null ? OUTPUTS.slice() : parseList("--outputs", outputsRaw, OUTPUTS);
+
+  const format = pick("format", "OUTPUT_FORMAT") ?? "csv";
+  if (!FORMATS.includes(format)) {
+    throw new CliError(`--format: ungültig "${format}" (erlaubt: ${FORMATS.join(", ")})`);
+  }
+
+  const mode = pick("mode", "PRICING_MODE") ?? "base";
+  if (!PRICING_MODES.includes(mode)) {
+    throw new CliError(`--mode: ungültig "${mode}" (erlaubt: ${PRICING_MODES.join(", ")})`);
+  }
+
+  const chunkRowsRaw = pick("chunk-rows", "CHUNK_ROWS");
+  const chunkBytesRaw = pick("chunk-bytes", "CHUNK_BYTES");
+  if (chunkBytesRaw != null && format !== "csv") {
+    throw new CliError("--chunk-bytes: nur mit --format csv (für xlsx --chunk-rows verwenden)");
+  }
+
+  return {
+    input: pick("input", "INPUT_CSV"),
+    outDir: pick("out-dir", "OUT_DIR") ?? "out",
+    testCount,
+    testQuotas,
+    testSeed: pick("test-seed", "TEST_SEED") ?? "matrixify",
+    testExclude: (pick("test-exclude", "TEST_EXCLUDE") ?? "").split(",").map(x => x.trim()).filter(Boolean),
+    outputs: new Set(outputs),
+    format,
+    profile: pick("profile", "PRICING_PROFILE"),
+    profileFile: pick("profile-file", "PRICING_PROFILE_FILE"),
+    tagRules: pick("tag-rules", "TAG_RULES_FILE"),
+    markets: pick("markets", "MARKETS_FILE"),
+    vat: pick("vat", "VAT_FILE"),
+    stockDates: pick("stock-dates", "STOCK_DATES_FILE"),
+    mode,
+    historyDir: pick("history-dir", "RUN_HISTORY_DIR") ?? "history",
+    chunkRows: chunkRowsRaw == null ? null : parsePositiveInt("--chunk-rows", chunkRowsRaw),
+    chunkBytes: chunkBytesRaw == null ? null : parseByteSize("--chunk-bytes", chunkBytesRaw),
+    scope: parseScope(pick),
+  };
+}
+
+export function parseApplyOptions(argv, env = process.env) {
+  const { values: v } = parseFlags(argv, {
+    dir: { type: "string", short: "d" },
+    endpoint: { type: "string" },
+    "batch-size": { type: "string" },
+    "max-retries": { type: "string" },
+    log: { type: "string" },
+    help: { type: "boolean", short: "h" },
+  }, APPLY_USAGE);
+  if (v.help) return null;
+
+  const pick = (flag, envName) => pickOption(v, env, flag, envName);
+
+  const endpoint = pick("endpoint", "SHOPIFY_GRAPHQL_URL");
+  if (!endpoint) throw new CliError("--endpoint fehlt (oder SHOPIFY_GRAPHQL_URL setzen)", APPLY_USAGE);
+  try {
+    new URL(endpoint);
+  } catch {
+    throw new CliError(`--endpoint: keine gültige URL "${endpoint}"`, APPLY_USAGE);
+  }
+
+  const dir = pick("dir") ?? "out/shopify";
+  const batchSizeRaw = pick("batch-size", "APPLY_BATCH_SIZE");
+  const maxRetriesRaw = pick("max-retries");
+
+  return {
+    dir,
+    endpoint,
+    token: env.SHOPIFY_ACCESS_TOKEN || null,
+    batchSize: batchSizeRaw == null ? 10 : parsePositiveInt("--batch-size", batchSizeRaw, APPLY_USAGE),
+    maxRetries: maxRetriesRaw == null ? 5 : parsePositiveInt("--max-retries", maxRetriesRaw, APPLY_USAGE, 0),
+    logPath: pick("log") ?? `${dir}/apply.log.jsonl`,
+  };
+}
+
+export function parseReconcileOptions(argv) {
+  const { values: v } = parseFlags(argv, {
+    input: { type: "string", short: "i" },
+    plan: { type: "string", short: "p" },
+    "out-dir": { type: "string", short: "o" },
+    only: { type: "string" },
+    format: { type: "string", short: "f" },
+    help: { type: "boolean", short: "h" },
+  }, RECONCILE_USAGE);
+  if (v.help) return null;
+
+  const pick = (flag) => pickOption(v, {}, flag);
+
+  const input = pick("input");
+  if (!input) throw new CliError("--input fehlt (frischer Matrixify-Export nach dem Import)", RECONCILE_USAGE);
+
+  const format = pick("format") ?? "csv";
+  if (!FORMATS.includes(format)) {
+    throw new CliError(`--format: ungültig "${format}" (erlaubt: ${FORMATS.join(", ")})`, RECONCILE_USAGE);
+  }
+
+  return {
+    input,
+    plan: pick("plan") ?? "out/plan.jsonl",
+    outDir: pick("out-dir") ?? "out",
+    only: (pick("only") ?? "").split(",").map(x => x.trim()).filter(Boolean),
+    format,
+  };
+}
+
+export function parseExplainOptions(argv, env = process.env) {
+  const { values: v, positionals } = parseFlags(argv, {
+    input: { type: "string", short: "i" },
+    profile: { type: "string" },
+    "profile-file": { type: "string" },
+    "tag-rules": { type: "string" },
+    markets: { type: "string" },
+    vat: { type: "string" },
+    "stock-dates": { type: "string" },
+    mode: { type: "string" },
+    json: { type: "boolean" },
+    help: { type: "boolean", short: "h" },
+  }, EXPLAIN_USAGE, true);
+  if (v.help) return null;
+
+  const pick = (flag, envName) => pickOption(v, env, flag, envName);
+
+  const keys = [...new Set(positionals.map(x => x.trim()).filter(Boolean))];
+  if (!keys.length) throw new CliError("Produkt-ID oder Handle fehlt", EXPLAIN_USAGE);
+
+  const mode = pick("mode", "PRICING_MODE") ?? "base";
+  if (!PRICING_MODES.includes(mode)) {
+    throw new CliError(`--mode: ungültig "${mode}" (erlaubt: ${PRICING_MODES.join(", ")})`, EXPLAIN_USAGE);
+  }
+
+  return {
+    keys,
+    input: pick("input", "INPUT_CSV"),
+    profile: pick("profile", "PRICING_PROFILE"),
+    profileFile: pick("profile-file", "PRICING_PROFILE_FILE"),
+    tagRules: pick("tag-rules", "TAG_RULES_FILE"),
+    markets: pick("markets", "MARKETS_FILE"),
+    vat: pick("vat", "VAT_FILE"),
+    stockDates: pick("stock-dates", "STOCK_DATES_FILE"),
+    mode,
+    json: !!v.json,
+  };
+}
+
+export function parseDiffOptions(argv, env = process.env) {
+  const { values: v } = parseFlags(argv, {
+    "history-dir": { type: "string" },
+    from: { type: "string" },
+    to: { type: "string" },
+    "out-dir": { type: "string", short: "o" },
+    window: { type: "string", short: "k" },
+    "max-flips": { type: "string" },
+    list: { type: "boolean" },
+    help: { type: "boolean", short: "h" },
+  }, DIFF_USAGE);
+  if (v.help) return null;
+
+  const pick = (flag, envName) => pickOption(v, env, flag, envName);
+  const windowRaw = pick("window");
+  const maxFlipsRaw = pick("max-flips");
+
+  return {
+    historyDir: pick("history-dir", "RUN_HISTORY_DIR") ?? "history",
+    from: pick("from"),
+    to: pick("to"),
+    outDir: pick("out-dir") ?? "out",
+    window: windowRaw == null ? 5 : parsePositiveInt("--window", windowRaw, DIFF_USAGE, 2),
+    maxFlips: maxFlipsRaw == null ? 1 : parsePositiveInt("--max-flips", maxFlipsRaw, DIFF_USAGE, 0),
+    list: !!v.list,
+  };
+}
+
+function parseScenarioSpec(raw) {
+  const m = String(raw).trim().match(/^([A-Za-z0-9_-]+):(.+)$/);
+  const fail = () => {
+    throw new CliError(`--set: ungültig "${raw}" (erwartet z.B. "aff15:classification.aff_rate=0.15")`, SIMULATE_USAGE);
+  };
+  if (!m) fail();
+
+  const overrides = m[2].split(",").map(x => x.trim()).filter(Boolean).map(part => {
+    const kv = part.match(/^([A-Za-z_]+\.[A-Za-z_0-9]+)=(.+)$/);
+    if (!kv) fail();
+    const value = kv[2].trim() === "null" ? null : Number(kv[2].trim());
+    if (value !== null && !Number.isFinite(value)) fail();
+    return { key: kv[1], value };
+  });
+  if (!overrides.length) fail();
+  return { name: m[1], overrides };
+}
+
+export function parseSimulateOptions(argv, env = process.env) {
+  const { values: v } = parseFlags(argv, {
+    input: { type: "string", short: "i" },
+    scenarios: { type: "string" },
+    set: { type: "string", multiple: true },
+    "profile-file": { type: "string" },
+    "tag-rules": { type: "string" },
+    vat: { type: "string" },
+    "stock-dates": { type: "string" },
+    mode: { type: "string" },
+    top: { type: "string" },
+    "out-dir": { type: "string", short: "o" },
+    help: { type: "boolean", short: "h" },
+  }, SIMULATE_USAGE);
+  if (v.help) return null;
+
+  const pick = (flag, envName) => pickOption(v, env, flag, envName);
+
+  const mode = pick("mode", "PRICING_MODE") ?? "base";
+  if (!PRICING_MODES.includes(mode)) {
+    throw new CliError(`--mode: ungültig "${mode}" (erlaubt: ${PRICING_MODES.join(", ")})`, SIMULATE_USAGE);
+  }
+
+  const profiles = (pick("scenarios", "PRICING_PROFILE") ?? "default").split(",").map(x => x.trim()).filter(Boolean);
+  const inline = (v.set ?? []).map(parseScenarioSpec);
+  const names = [...profiles, ...inline.map(x => x.name)];
+  const dup = names.find((x, i) => names.indexOf(x) !== i);
+  if (dup) throw new CliError(`Szenario-Name doppelt: "${dup}"`, SIMULATE_USAGE);
+
+  const topRaw = pick("top");
+  return {
+    input: pick("input", "INPUT_CSV"),
+    profiles,
+    inline,
+    profileFile: pick("profile-file", "PRICING_PROFILE_FILE"),
+    tagRules: pick("tag-rules", "TAG_RULES_FILE"),
+    vat: pick("vat", "VAT_FILE"),
+    stockDates: pick("stock-dates", "STOCK_DATES_FILE"),
+    mode,
+    top: topRaw == null ? 20 : parsePositiveInt("--top", topRaw, SIMULATE_USAGE),
+    outDir: pick("out-dir") ?? "out",
+  };
+}
+
+export function parseVerifyOptions(argv, env = process.env) {
+  const { values: v } = parseFlags(argv, {
+    input: { type: "string", short: "i" },
+    dir: { type: "string", short: "d" },
+    files: { type: "string" },
+    "tag-rules": { type: "string" },
+    help: { type: "boolean", short: "h" },
+  }, VERIFY_USAGE);
+  if (v.help) return null;
+
+  const pick = (flag, envName) => pickOption(v, env, flag, envName);
+
+  return {
+    input: pick("input", "INPUT_CSV"),
+    dir: pick("dir", "OUT_DIR") ?? "out",
+    files: (pick("files") ?? "").split(",").map(x => x.trim()).filter(Boolean),
+    tagRules: pick("tag-rules", "TAG_RULES_FILE"),
+  };
+}
@@ -0,0 +1,118 @@
+import fs from "node:fs";
+import { pipeline } from "node:stream/promises";
+import { Readable } from "node:stream";
+import { parse } from "csv-parse";
+import { stringify } from "csv-stringify";
+import { stringify as stringifySync } from "csv-stringify/sync";
+
+const SNIFF_BYTES = 64 * 1024;
+const DELIMITERS = [",", ";", "\t"];
+
+// Delimiter = the candidate that occurs most often (outside quotes) in the header record.
+export function sniffDelimiter(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  let head;
+  try {
+    const buf = Buffer.alloc(SNIFF_BYTES);
+    const n = fs.readSync(fd, buf, 0, SNIFF_BYTES, 0);
+    head = buf.subarray(0, n).toString("utf8").replace(/^\uFEFF/, "");
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const counts = Object.fromEntries(DELIMITERS.map(d => [d, 0]));
+  let inQ = false;
+  for (let i = 0; i < head.length; i++) {
+    const ch = head[i];
+    if (ch === '"') { inQ = !inQ; continue; } // "" toggles twice -> no-op
+    if (inQ) continue;
+    if (ch === "\n" || ch === "\r") break;
+    if (ch in counts) counts[ch]++;
+  }
+
+  return DELIMITERS.reduce((best, d) => (counts[d] > counts[best] ? d : best), ",");
+}
+
+/**
+ * Streams an RFC 4180 CSV file (quoted newlines, CRLF/LF, BOM, embedded delimiters).
+ * Returns { delimiter, records } — records is an async iterable of
+ * { cells, line, raw }, where line is the physical line the record starts on.
+ * The header is the first record. Parse errors are rethrown with the line the
+ * broken record starts on plus the physical line/column csv-parse stopped at.
+ */
+export function readCsv(filePath) {
+  const delimiter = sniffDelimiter(filePath);
+
+  async function* records() {
+    let header = null;
+    let nextLine = 1; // physical line the next record starts on
+    let emptySeen = 0;
+    let crlfInCells = 0; // csv-parse counts a CRLF inside a quoted cell as two lines
+
+    // on_record runs synchronously while parsing, so line tracking stays correct
+    // even when an error aborts the stream before buffered records are consumed.
+    const parser = fs.createReadStream(filePath).pipe(parse({
+      bom: true,
+      delimiter,
+      record_delimiter: ["\r\n", "\n", "\r"],
+      skip_empty_lines: true,
+      raw: true,
+      on_record: ({ record, raw }, ctx) => {
+        const line = nextLine + (ctx.empty_lines - emptySeen);
+        for (const cell of record) crlfInCells += cell.split("\r\n").length - 1;
+        nextLine = ctx.lines + 1 - crlfInCells;
+        emptySeen = ctx.empty_lines;
+        if (!header) header = record;
+        return { cells: record, line, raw };
+      },
+    }));
+
+    try {
+      yield* parser;
+    } catch (err) {
+      if (!err?.code?.startsWith("CSV_")) throw err;
+      const col = Number.isInteger(err.column) ? err.column : null;
+      const colName = (col != null && header?.[col] != null) ? ` ("${header[col]}")` : "";
+      throw new Error(
+        [
+          `FAIL-FAST: CSV-Datensatz ab Zeile ${nextLine} ist kaputt.`,
+          `Fehler in Zeile ${err.lines}${col != null ? `, Spalte ${col + 1}${colName}` : ""}: ${err.message}`,
+        ].join("\n")
+      );
+    } finally {
+      parser.destroy();
+    }
+  }
+
+  return { delimiter, records: records() };
+}
+
+const WRITE_OPTIONS = {
+  delimiter: ",",
+  record_delimiter: "unix",
+  quoted_match: [/;/, /\r/],
+  cast: { boolean: v => String(v) },
+};
+
+/**
+ * Streams rows (objects keyed by header) to a comma-separated CSV file.
+ * Booleans are written as "true"/"false"; null/undefined as empty cells.
+ */
+export async function writeCsv(filePath, headers, rows) {
+  function* records() {
+    yield headers;
+    for (const r of rows) yield headers.map(h => r[h] ?? "");
+  }
+
+  await pipeline(
+    Readable.from(records()),
+    stringify(WRITE_OPTIONS),
+    fs.createWriteStream(filePath)
+  );
+}
+
+// Bytes writeCsv writes for these rows; header: include the header line
+export function csvByteLength(headers, rows, { header = false } = {}) {
+  const records = rows.map(r => headers.map(h => r[h] ?? ""));
+  return Buffer.byteLength(stringifySync(header ? [headers, ...records] : records, WRITE_OPTIONS));
+}
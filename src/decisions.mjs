@@ -0,0 +1,153 @@
+import { MONEY_TOLERANCE } from "./products.mjs";
+
+// ---------- Decision journal ----------
+// One record per product for decisions.jsonl, built from the planProduct() trace.
+// Reason codes are stable identifiers for BI; the text is for humans.
+
+function classificationDecision(t, variantId) {
+  const at = variantId ? { variantId } : {};
+  if (t.missingMC) return null;
+  const c = t.classification ?? {};
+  if (c.forced) {
+    const { type, tags } = c.forced;
+    return type === "used"
+      ? { code: "TYPE_USED_TAG", reason: "used because of a force tag of the tag rules", ...at, tags, M: t.M, C: t.C }
+      : { code: "TYPE_FORCED_TAG", reason: `${type} because of a force tag of the tag rules`, ...at, type, tags, M: t.M, C: t.C };
+  }
+  const net = c.vat_rate != null ? { P_sale_max_net: c.P_sale_max_net, C_net: c.C_net } : {};
+  const values = { ...at, M: t.M, C: t.C, P_sale_max: c.P_sale_max, ...net, affiliate_fee: c.affiliate_fee, other_fee: c.other_fee, G: c.G };
+  const basis = c.vat_rate != null ? " (net)" : "";
+  return c.G < 0
+    ? { code: "TYPE_LOW_MARGIN_NEGATIVE_G", reason: `low-margin because G < 0 at the maximum discount${basis}`, ...values }
+    : { code: "TYPE_STANDARD", reason: `standard because G >= 0 at the maximum discount${basis}`, ...values };
+}
+
+export function decisionRecord(p, r, trace, ctx) {
+  const { profile, pricingMode } = ctx;
+  const decisions = [];
+  const add = (code, reason, details = {}) => decisions.push({ code, reason, ...details });
+
+  if (trace.skipped) {
+    add("SKIP_CNFDNT", "skipped because of a skip tag (CNFDNT)", { tag: trace.skipped });
+  } else {
+    const t = trace;
+    if (t.vat && !t.missingMC) {
+      const { rate, scheme, rule } = t.vat;
+      add("VAT_APPLIED", `${scheme === "margin" ? "margin scheme" : "VAT"} ${rate} from ${rule} of the VAT model`, { rate, scheme, rule });
+    }
+    if (t.missingMC) {
+      const M = t.basePlan?.M ?? null;
+      const C = t.basePlan?.C ?? null;
+      if (t.doDraft) add("DRAFT_MISSING_MC", "drafted because M (compare-at) or C (cost) is missing", { M, C, statusBefore: p.status });
+      else add("MISSING_MC_ALREADY_DRAFT", "M or C missing, product is already Draft", { M, C, draftOwner: t.draftOwner });
+    } else if (t.variants) {
+      for (const v of t.variants) {
+        const d = classificationDecision(v, v.variantId);
+        if (d) decisions.push(d);
+      }
+      add("TYPE_COMBINED", "product type = most restrictive variant type", {
+        variantTypes: [...new Set(t.variants.map(v => v.type).filter(x => x !== "skip"))],
+        type: t.type,
+      });
+    } else {
+      const d = classificationDecision(t.basePlan);
+      if (d) decisions.push(d);
+    }
+
+    // Markdown by stock age: the base plan, per-variant every variant
+    if (t.markdown && t.markdown.ageDays == null && !t.missingMC) {
+      add("MARKDOWN_AGE_UNKNOWN", "no stock-in date (stock dates, Created At, Published At), no markdown");
+    }
+    for (const v of t.missingMC ? [] : (t.variants ?? [t.basePlan])) {
+      const m = v.pricing?.markdown;
+      if (!m) continue;
+      add("MARKDOWN_APPLIED", `${m.bucket} markdown of ${m.pct} by stock age`, {
+        ...(t.variants ? { variantId: v.variantId } : {}),
+        bucket: m.bucket, pct: m.pct, ageDays: m.ageDays, source: m.source, inventory: m.inventory,
+        old: m.price_before, new: m.price_after, floor: m.priceFloor, asLowAsFloor: m.asLowAsFloor,
+      });
+    }
+
+    if (t.doReactivate) {
+      add("REACTIVATED", "M and C valid again, Draft was set by an earlier run (draft tag)", { statusBefore: p.status });
+    } else if (!t.missingMC && t.draftOwner === "manual") {
+      add("DRAFT_MANUAL_KEPT", "Draft without the draft tag (set by hand), never reactivated");
+    }
+
+    if (t.tagDiff.doTags) {
+      add("TAGS_CHANGED", "type tags do not match the type", { add: t.tagDiff.tags_to_add, remove: t.tagDiff.tags_to_remove });
+    } else if (!t.missingMC) {
+      add("TAGS_UNCHANGED", "type tag already set");
+    }
+
+    for (const v of t.prices) {
+      if (v.changed) add("PRICE_CHANGED", "price differs from the computed price", { variantId: v.variantId, old: v.old, new: v.new });
+      else add("PRICE_UNCHANGED_WITHIN_TOLERANCE", "price within tolerance of the computed price", { variantId: v.variantId, old: v.old, new: v.new, tolerance: MONEY_TOLERANCE });
+    }
+
+    if (t.metafield.desired != null && t.type === "standard") {
+      const m = { current: t.metafield.current, new: t.metafield.desired };
+      if (t.metafield.changed) add("METAFIELD_CHANGED", "spotted.as_low_as differs from P_sale_min", m);
+      else add("METAFIELD_UNCHANGED_WITHIN_TOLERANCE", "spotted.as_low_as within tolerance of P_sale_min", { ...m, tolerance: MONEY_TOLERANCE });
+    }
+    for (const v of t.variantMetafields ?? []) {
+      if (v.desired == null) continue;
+      const m = { variantId: v.variantId, current: v.current, new: v.desired };
+      if (v.changed) add("VARIANT_METAFIELD_CHANGED", "variant spotted.as_low_as differs from P_sale_min", m);
+      else add("VARIANT_METAFIELD_UNCHANGED_WITHIN_TOLERANCE", "variant spotted.as_low_as within tolerance", { ...m, tolerance: MONEY_TOLERANCE });
+    }
+
+    for (const m of t.markets ?? []) {
+      for (const v of m.prices) {
+        const d = { market: m.key, currency: m.currency, variantId: v.variantId, old: v.old, new: v.new };
+        if (v.changed) add("MARKET_PRICE_CHANGED", "market price differs from the converted price", d);
+        else add("MARKET_PRICE_UNCHANGED_WITHIN_TOLERANCE", "market price within tolerance of the converted price", { ...d, tolerance: MONEY_TOLERANCE });
+      }
+      if (m.metafield.desired == null) continue;
+      const d = { market: m.key, currency: m.currency, current: m.metafield.current, new: m.metafield.desired };
+      if (m.metafield.changed) add("MARKET_METAFIELD_CHANGED", "market as-low-as differs from the converted P_sale_min", d);
+      else add("MARKET_METAFIELD_UNCHANGED_WITHIN_TOLERANCE", "market as-low-as within tolerance", { ...d, tolerance: MONEY_TOLERANCE });
+    }
+
+    for (const v of r.outOfScope ? [] : t.violations) {
+      add("QUARANTINED", `guardrail ${v.rule} broken, product kept out of the imports`, v);
+    }
+  }
+  if (r.outOfScope) add("OUT_OF_SCOPE", "outside the scope of the run, product kept out of the imports", { filter: r.outOfScope });
+
+  return {
+    productId: p.productId,
+    handle: p.handle,
+    pricingProfile: profile.name,
+    pricingProfileHash: profile.hash,
+    pricingMode,
+    input: {
+      status: p.status,
+      tags: p.tagsArr,
+      asLowAs: p.asLowAsCurrent ?? "",
+      baseVariantId: trace.base?.variantId ?? "",
+      variants: p.variants.map(v => ({
+        variantId: v.variantId,
+        position: v.pos,
+        price: v.price,
+        compareAt: v.compareAt,
+        cost: v.cost,
+        asLowAs: v.asLowAsCurrent ?? "",
+      })),
+    },
+    type: r.type,
+    outcome: {
+      needsChange: r.needsChange,
+      doDraft: r.doDraft,
+      doReactivate: r.doReactivate,
+      doTags: r.preview.doTags,
+      doPrice: r.preview.doPrice,
+      doMetafield: r.preview.doMetafield,
+      doVariantMetafield: r.preview.doVariantMetafield,
+      ...("doMarketPrice" in r.preview ? { doMarketPrice: r.preview.doMarketPrice, doMarketMetafield: r.preview.doMarketMetafield } : {}),
+      quarantine: r.quarantineRules,
+      imported: r.onlyChangesRows.length > 0,
+    },
+    decisions,
+  };
+}
@@ -0,0 +1,138 @@
+import { planProduct } from "./product-plan.mjs";
+
+// ---------- Explain ----------
+// Full calculation trace for single products: the same planProduct() call as the run,
+// with a trace object that collects every intermediate value.
+
+// Product ID, or handle (case-insensitive)
+export function findProducts(products, keys) {
+  const byHandle = new Map([...products.values()].map(p => [String(p.handle).toLowerCase(), p]));
+  const found = [];
+  const missing = [];
+  for (const key of keys) {
+    const p = products.get(key) ?? byHandle.get(key.toLowerCase());
+    if (p) found.push(p); else missing.push(key);
+  }
+  return { found, missing };
+}
+
+export function explainProduct(p, ctx) {
+  const trace = {};
+  const r = planProduct(p, ctx, trace);
+  return {
+    productId: p.productId,
+    handle: p.handle,
+    title: p.title,
+    status: p.status,
+    tags: p.tagsArr,
+    pricingProfile: ctx.profile.name,
+    pricingProfileHash: ctx.profile.hash,
+    pricingMode: ctx.pricingMode,
+    trace,
+    quarantine: r.quarantineRules,
+    rows: {
+      onlyChanges: r.onlyChangesRows,
+      full: r.fullRows,
+      rollback: r.rollbackRows,
+    },
+  };
+}
+
+const num = (x) => (typeof x === "number" ? String(Math.round(x * 1e6) / 1e6) : (x === "" || x == null ? "—" : String(x)));
+
+function variantLines(t, indent) {
+  const pad = " ".repeat(indent);
+  const lines = [`${pad}M=${num(t.M)}  C=${num(t.C)}`];
+  if (t.missingMC) return [...lines, `${pad}M or C missing -> skip`];
+
+  const c = t.classification ?? {};
+  if (c.forced) {
+    lines.push(`${pad}force tag (${c.forced.tags.join(", ")}) -> ${c.forced.type}`);
+  } else {
+    if (c.vat_rate != null) lines.push(`${pad}net (${c.vat_scheme} ${num(c.vat_rate)}): P_sale_max_net=${num(c.P_sale_max_net)}  C_net=${num(c.C_net)}`);
+    lines.push(`${pad}P_sale_max=${num(c.P_sale_max)}  affiliate_fee=${num(c.affiliate_fee)}  other_fee=${num(c.other_fee)}  G=${num(c.G)}`);
+    lines.push(`${pad}G ${c.G >= 0 ? ">= 0 -> standard" : "< 0 -> low-margin"}`);
+  }
+
+  const x = t.pricing ?? {};
+  if (x.branch === "standard") {
+    lines.push(`${pad}[standard] d=${num(x.d)}  mu_d=${num(x.mu_d)}  m_shape=${num(x.m_shape)}  A_M=${num(x.A_M)}  B_d=${num(x.B_d)}`);
+    lines.push(`${pad}P_hidden=min(M, ${num(x.P_hidden_raw)})=${num(x.P_hidden)}  P_sale_min=${num(x.P_sale_min)}`);
+  } else if (x.branch) {
+    lines.push(`${pad}[${x.branch}] sM=${num(x.sM)}  log10(M/C)=${num(x.log10_MC)}  price_raw=${num(x.price_raw)}`);
+    lines.push(`${pad}price_new=min(M, price_raw)=${num(Math.min(t.M, x.price_raw))}`);
+  }
+  if (x.markdown) {
+    const m = x.markdown;
+    lines.push(`${pad}markdown ${m.bucket} (${num(m.pct)}): price ${num(m.price_before)} -> ${num(m.price_after)}  as_low_as ${num(m.as_low_as_before)} -> ${num(m.as_low_as_after)}  floors: price=${num(m.priceFloor)} as_low_as=${num(m.asLowAsFloor)}`);
+  }
+  for (const [key, r] of Object.entries(x.rounding ?? {})) {
+    if (!r.strategy) continue;
+    const { step, ending, direction } = r.strategy;
+    lines.push(`${pad}rounding ${key}: step=${step} ending=${ending} ${direction} -> ${num(r.value)}${r.limited ? ` (${r.limited})` : ""}`);
+  }
+  return lines;
+}
+
+function rowLines(title, rows) {
+  if (!rows.length) return [`${title}: (none)`];
+  const lines = [`${title}:`];
+  for (const r of rows) {
+    // Every cell, empty ones too: an empty metafield cell deletes the metafield
+    lines.push("  " + Object.entries(r).map(([k, v]) => `${k}=${v === "" ? '""' : v}`).join(" | "));
+  }
+  return lines;
+}
+
+export function formatExplain(x) {
+  const t = x.trace;
+  const lines = [
+    `=== ${x.productId} ${x.handle} — ${x.title}`,
+    `status=${x.status}  tags=${x.tags.join(", ") || "—"}`,
+    `profile=${x.pricingProfile}@${x.pricingProfileHash}  mode=${x.pricingMode}`,
+  ];
+  if (t.skipped) return [...lines, `skipped: ${t.skipped} tag (no import rows)`, ""].join("\n");
+
+  if (t.vat) lines.push(`vat: ${t.vat.scheme} ${num(t.vat.rate)} (${t.vat.rule})`);
+  if (t.markdown) {
+    const m = t.markdown;
+    const age = m.ageDays == null ? "unknown" : `${m.ageDays} days (${m.source})`;
+    lines.push(`stock age: ${age}  inventory=${num(m.inventory)}  bucket=${m.bucket ?? "—"}`);
+  }
+  lines.push(`base variant: ${t.base ? `${t.base.variantId || "—"} (position ${t.base.position})` : "—"}`);
+  lines.push(...variantLines(t.basePlan, 2));
+  if (t.variants) {
+    for (const v of t.variants) {
+      lines.push(`variant ${v.variantId || "—"} (position ${v.position}): type=${v.type} price_new=${num(v.priceNew)} as_low_as=${num(v.asLowAs)}`);
+      lines.push(...variantLines(v, 4));
+    }
+  }
+
+  lines.push(`type: ${t.type}${t.missingMC ? " (M/C missing)" : ""}${t.doDraft ? " -> Draft" : ""}${t.doReactivate ? " -> Active (reactivated)" : ""}`);
+  if (t.draftOwner) lines.push(`draft owner: ${t.draftOwner}${t.draftOwner === "manual" ? " (no draft tag, never reactivated)" : ""}`);
+  lines.push(`tags: add=${t.tagDiff.tags_to_add.join("|") || "—"} remove=${t.tagDiff.tags_to_remove.join("|") || "—"} -> ${t.tagDiff.doTags ? t.tagDiff.desiredTagsArr.join(", ") : "unchanged"}`);
+  for (const v of t.prices) {
+    lines.push(`price ${v.variantId}: ${num(v.old)} -> ${num(v.new)} ${v.changed ? "changed" : "unchanged (approxEqualMoney)"}`);
+  }
+  lines.push(`as_low_as: ${num(t.metafield.current)} -> ${num(t.metafield.desired)} ${t.metafield.changed ? "changed" : "unchanged"}`);
+  for (const v of t.variantMetafields ?? []) {
+    lines.push(`variant as_low_as ${v.variantId}: ${num(v.current)} -> ${num(v.desired)} ${v.changed ? "changed" : "unchanged"}`);
+  }
+  for (const m of t.markets ?? []) {
+    lines.push(`market ${m.key} (${m.currency}, × ${num(m.factor)}):`);
+    for (const v of m.prices) {
+      lines.push(`  price ${v.variantId}: ${num(v.old)} -> ${num(v.new)}${v.limited ? ` (${v.limited})` : ""} ${v.changed ? "changed" : "unchanged (approxEqualMoney)"}`);
+    }
+    lines.push(`  as_low_as: ${num(m.metafield.current)} -> ${num(m.metafield.desired)} ${m.metafield.changed ? "changed" : "unchanged"}`);
+  }
+  for (const v of t.violations) {
+    lines.push(`guardrail ${v.rule} (variant ${v.variantId}): value=${v.value} limit=${v.limit}`);
+  }
+  if (x.quarantine.length) lines.push(`quarantined: ${x.quarantine.join(", ")} (no import rows)`);
+
+  lines.push(...rowLines("only-changes rows", x.rows.onlyChanges));
+  lines.push(...rowLines("full rows", x.rows.full));
+  lines.push(...rowLines("rollback rows", x.rows.rollback));
+  lines.push("");
+  return lines.join("\n");
+}
@@ -0,0 +1,162 @@
+import fs from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+import { approxEqualMoney, toNumberOrNull, normTag } from "./products.mjs";
+import { openJsonl } from "./jsonl.mjs";
+
+// ---------- Run history ----------
+// <history-dir>/<runId>/run.json       meta (profile, mode, input, counts)
+// <history-dir>/<runId>/snapshot.jsonl one compact line per product, state after the run
+// <history-dir>/<runId>/out/           copy of the run's output files (imports, previews, rollback, ...)
+
+// Sortable and file-system safe: 2026-01-31T08-15-00-000Z
+export function newRunId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+/**
+ * Compact product state the run leaves behind (what the imports set; quarantined
+ * products keep their exported price, metafield and tags).
+ */
+export function snapshotEntry(p, r) {
+  const applied = r.change != null;
+  const pv = r.preview;
+  return {
+    id: p.productId,
+    handle: p.handle,
+    type: r.type,
+    status: !applied ? p.status : (r.change.doDraft ? "Draft" : (r.change.doReactivate ? "Active" : p.status)),
+    price: applied && pv.price_new !== "" ? pv.price_new : pv.price_old,
+    asLowAs: applied && pv.as_low_as_new !== "" ? pv.as_low_as_new : pv.as_low_as_old,
+    tags: applied && r.change.doTags ? r.change.desiredTagsArr : p.tagsArr,
+    quarantine: r.quarantineRules.length > 0,
+    pricingProfile: pv.pricing_profile,
+    pricingProfileHash: pv.pricing_profile_hash,
+  };
+}
+
+export function openRunSnapshot(historyDir, runId) {
+  const dir = path.join(historyDir, runId);
+  fs.mkdirSync(dir, { recursive: true });
+  const snapshot = openJsonl(path.join(dir, "snapshot.jsonl"));
+  return {
+    dir,
+    write: (entry) => snapshot.write(entry),
+    async close(meta) {
+      await snapshot.close();
+      fs.writeFileSync(path.join(dir, "run.json"), JSON.stringify({ runId, ...meta }, null, 2));
+    },
+  };
+}
+
+/**
+ * Copies the output files of a run into <runDir>/out/, with the layout of the output
+ * directory (e.g. shopify/). Files outside outDir and directories are skipped. Returns the copies.
+ */
+export function copyRunOutputs(runDir, outDir, files) {
+  const copies = [];
+  for (const file of files) {
+    const rel = path.relative(outDir, file);
+    if (rel.startsWith("..") || path.isAbsolute(rel) || !fs.statSync(file).isFile()) continue;
+    const target = path.join(runDir, "out", rel);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(file, target);
+    copies.push(target);
+  }
+  return copies;
+}
+
+// Finished runs (with run.json), oldest first
+export function listRuns(historyDir) {
+  if (!fs.existsSync(historyDir)) return [];
+  return fs.readdirSync(historyDir)
+    .filter(name => fs.existsSync(path.join(historyDir, name, "run.json")))
+    .sort();
+}
+
+export function readRunMeta(historyDir, runId) {
+  const file = path.join(historyDir, runId, "run.json");
+  if (!fs.existsSync(file)) throw new Error(`Run nicht gefunden: ${runId} (${historyDir})`);
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+export async function readSnapshot(historyDir, runId) {
+  const file = path.join(historyDir, runId, "snapshot.jsonl");
+  if (!fs.existsSync(file)) throw new Error(`Run nicht gefunden: ${runId} (${historyDir})`);
+  const rl = readline.createInterface({ input: fs.createReadStream(file, { encoding: "utf8" }), crlfDelay: Infinity });
+  const entries = new Map();
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    const x = JSON.parse(line);
+    entries.set(x.id, x);
+  }
+  return entries;
+}
+
+// ---------- Diff ----------
+const tagKey = (tags) => tags.map(normTag).sort().join("\u0000");
+
+function pctChange(from, to) {
+  if (String(from).trim() === "" || String(to).trim() === "") return "";
+  const a = toNumberOrNull(from);
+  const b = toNumberOrNull(to);
+  return (a > 0 && b != null) ? Math.round((b / a - 1) * 10000) / 100 : "";
+}
+
+/**
+ * Differences between two snapshots, one row per product and field:
+ * { productId, handle, change, from, to, delta_pct } with change
+ * new | removed | type | status | price | as_low_as | tags.
+ */
+export function diffSnapshots(from, to) {
+  const rows = [];
+  const add = (x, change, a, b, delta_pct = "") =>
+    rows.push({ productId: x.id, handle: x.handle, change, from: a, to: b, delta_pct });
+
+  for (const b of to.values()) {
+    const a = from.get(b.id);
+    if (!a) {
+      add(b, "new", "", b.type);
+      continue;
+    }
+    if (a.type !== b.type) add(b, "type", a.type, b.type);
+    if (normTag(a.status) !== normTag(b.status)) add(b, "status", a.status, b.status);
+    if (!approxEqualMoney(a.price, b.price) && !(a.price === "" && b.price === "")) {
+      add(b, "price", a.price, b.price, pctChange(a.price, b.price));
+    }
+    if (!approxEqualMoney(a.asLowAs, b.asLowAs) && !(a.asLowAs === "" && b.asLowAs === "")) {
+      add(b, "as_low_as", a.asLowAs, b.asLowAs, pctChange(a.asLowAs, b.asLowAs));
+    }
+    if (tagKey(a.tags) !== tagKey(b.tags)) add(b, "tags", a.tags.join(", "), b.tags.join(", "));
+  }
+  for (const a of from.values()) {
+    if (!to.has(a.id)) add(a, "removed", a.type, "");
+  }
+  return rows;
+}
+
+/**
+ * Products whose type changed more than maxFlips times across the given snapshots
+ * (oldest first). Returns [{ productId, handle, changes, types }].
+ */
+export function findOscillations(snapshots, maxFlips) {
+  const seq = new Map(); // id -> { handle, types[] }
+  snapshots.forEach((snap, i) => {
+    for (const x of snap.values()) {
+      if (!seq.has(x.id)) seq.set(x.id, { handle: x.handle, types: Array(i).fill("") });
+      const s = seq.get(x.id);
+      s.handle = x.handle;
+      s.types.push(x.type);
+    }
+    for (const s of seq.values()) if (s.types.length < i + 1) s.types.push("");
+  });
+
+  const out = [];
+  for (const [id, s] of seq) {
+    const present = s.types.filter(Boolean);
+    let changes = 0;
+    for (let i = 1; i < present.length; i++) if (present[i] !== present[i - 1]) changes++;
+    if (changes > maxFlips) out.push({ productId: id, handle: s.handle, changes, types: s.types.map(t => t || "—").join(" > ") });
+  }
+  return out.sort((a, b) => b.changes - a.changes);
+}
@@ -0,0 +1,17 @@
+import fs from "node:fs";
+import { once } from "node:events";
+
+/**
+ * Streaming JSONL writer: await write(obj) per line (honours backpressure), then close().
+ */
+export function openJsonl(filePath) {
+  const out = fs.createWriteStream(filePath);
+  return {
+    async write(obj) {
+      if (!out.write(JSON.stringify(obj) + "\n")) await once(out, "drain");
+    },
+    close() {
+      return new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+    },
+  };
+}
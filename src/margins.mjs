@@ -0,0 +1,93 @@
+import { TYPE_TAGS, round2 } from "./pricing.mjs";
+
+// ---------- Margin analytics ----------
+// Built from the preview rows (G_price_new / G_as_low_as / break_even_price, same
+// fee model as the classification). Margin % = G / selling price.
+
+// Lower bucket edges in %; the first bucket is open to the left, the last to the right.
+const BUCKET_EDGES = [-20, -10, 0, 10, 20, 30, 40, 50];
+
+function bucketOf(pct) {
+  const i = BUCKET_EDGES.findIndex(edge => pct < edge);
+  if (i === 0) return `<${BUCKET_EDGES[0]}%`;
+  if (i === -1) return `>=${BUCKET_EDGES[BUCKET_EDGES.length - 1]}%`;
+  return `${BUCKET_EDGES[i - 1]}..${BUCKET_EDGES[i]}%`;
+}
+
+const BUCKETS = [bucketOf(-Infinity), ...BUCKET_EDGES.map(bucketOf)];
+
+function marginPct(G, P) {
+  return (G === "" || !(P > 0)) ? null : (G / P) * 100;
+}
+
+export const MARGIN_LIST_HEADERS = [
+  "productId", "handle", "title", "type", "M_used", "C_used",
+  "price_new", "G_price_new", "as_low_as_new", "G_as_low_as", "break_even_price", "quarantine",
+  "pricing_profile", "pricing_profile_hash",
+];
+
+export const MARGIN_HISTOGRAM_HEADERS = [
+  "type", "margin_bucket", "products_at_price_new", "products_at_as_low_as", "pricing_profile", "pricing_profile_hash",
+];
+
+const listRow = (r) => Object.fromEntries(MARGIN_LIST_HEADERS.map(h => [h, r[h]]));
+
+/**
+ * Catalog-level margin report from preview rows (profile: the run's pricing profile). Returns
+ * { histogram, lossAtFullDiscount, belowBreakEven, stats }:
+ * - histogram: one row per type and margin bucket, products at price_new and at as_low_as
+ * - lossAtFullDiscount: standard products with G < 0 at their as-low-as
+ * - belowBreakEven: low-margin / used products priced below break-even (G < 0 at price_new)
+ */
+export function marginReport(previewRows, profile) {
+  const counts = new Map(); // "type\0bucket" -> { price_new, as_low_as }
+  const count = (type, pct, key) => {
+    if (pct == null) return;
+    const k = `${type}\u0000${bucketOf(pct)}`;
+    if (!counts.has(k)) counts.set(k, { price_new: 0, as_low_as: 0 });
+    counts.get(k)[key]++;
+  };
+
+  const lossAtFullDiscount = [];
+  const belowBreakEven = [];
+
+  for (const r of previewRows) {
+    if (!TYPE_TAGS.includes(r.type) || r.out_of_scope) continue;
+    count(r.type, marginPct(r.G_price_new, r.price_new), "price_new");
+    count(r.type, marginPct(r.G_as_low_as, r.as_low_as_new), "as_low_as");
+
+    if (r.type === "standard" && r.G_as_low_as !== "" && r.G_as_low_as < 0) lossAtFullDiscount.push(listRow(r));
+    if (r.type !== "standard" && r.G_price_new !== "" && r.G_price_new < 0) belowBreakEven.push(listRow(r));
+  }
+
+  const histogram = [];
+  for (const type of TYPE_TAGS) {
+    for (const bucket of BUCKETS) {
+      const c = counts.get(`${type}\u0000${bucket}`) ?? { price_new: 0, as_low_as: 0 };
+      histogram.push({
+        type,
+        margin_bucket: bucket,
+        products_at_price_new: c.price_new,
+        products_at_as_low_as: c.as_low_as,
+        pricing_profile: profile.name,
+        pricing_profile_hash: profile.hash,
+      });
+    }
+  }
+
+  lossAtFullDiscount.sort((a, b) => a.G_as_low_as - b.G_as_low_as);
+  belowBreakEven.sort((a, b) => a.G_price_new - b.G_price_new);
+
+  const sum = (rows, key) => round2(rows.reduce((s, r) => s + r[key], 0));
+  return {
+    histogram,
+    lossAtFullDiscount,
+    belowBreakEven,
+    stats: {
+      lossAtFullDiscount: lossAtFullDiscount.length,
+      lossAtFullDiscountTotal: sum(lossAtFullDiscount, "G_as_low_as"),
+      belowBreakEven: belowBreakEven.length,
+      belowBreakEvenTotal: sum(belowBreakEven, "G_price_new"),
+    },
+  };
+}
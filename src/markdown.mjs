@@ -0,0 +1,95 @@
+import fs from "node:fs";
+import path from "node:path";
+import { readTable } from "./table.mjs";
+import { stripBom, normHeader } from "./products.mjs";
+
+// ---------- Markdown by stock age ----------
+// The profile's "markdown" schedule (pricing-profile.mjs) lowers price_new and as_low_as of products
+// that have been in stock for a while. Stock-in date of a variant, first found:
+//   1. stock-dates sidecar CSV, row for the Variant ID
+//   2. stock-dates sidecar CSV, row for the product ID
+//   3. "Created At", 4. "Published At" of the export
+// Inventory: "Variant Inventory Qty" (base mode: sum over the product's variants; unknown = no check).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2024-05-01", "2024-05-01T10:00:00Z", "2024-05-01 10:00:00 +0200"; anything else -> null
+function parseDate(s) {
+  const x = String(s ?? "").trim();
+  if (!/^\d{4}-\d{2}-\d{2}([ T]|$)/.test(x)) return null;
+  const ms = Date.parse(x);
+  return Number.isFinite(ms) ? new Date(ms) : null;
+}
+
+/**
+ * Reads the stock-dates sidecar (.csv or .xlsx): columns "Stock In Date" plus "ID" (product)
+ * and/or "Variant ID". Returns { file, byProduct, byVariant } (id -> Date).
+ */
+export async function loadStockDates(filePath) {
+  const abs = path.resolve(filePath);
+  if (!fs.existsSync(abs)) throw new Error(`Stock-Dates-Datei nicht gefunden: ${abs}`);
+
+  const byProduct = new Map();
+  const byVariant = new Map();
+  let idx = null;
+  for await (const { cells, line } of readTable(abs).records) {
+    if (!idx) {
+      const header = cells.map(h => normHeader(stripBom(h)));
+      idx = { id: header.indexOf("id"), variantId: header.indexOf("variant id"), date: header.indexOf("stock in date") };
+      if (idx.date < 0 || (idx.id < 0 && idx.variantId < 0)) {
+        throw new Error(`Stock-Dates-Datei ${abs}: Spalten "Stock In Date" und "ID" oder "Variant ID" nötig`);
+      }
+      continue;
+    }
+    const id = (cells[idx.id] ?? "").trim();
+    const variantId = (cells[idx.variantId] ?? "").trim();
+    const raw = (cells[idx.date] ?? "").trim();
+    if (!id && !variantId) continue;
+    const date = parseDate(raw);
+    // FAIL-FAST: a wrong date would silently mark a product down
+    if (!date) throw new Error(`FAIL-FAST: Stock-Dates-Datei ${abs}, Zeile ${line}: "Stock In Date" ungültig: ${JSON.stringify(raw)} (erwartet JJJJ-MM-TT)`);
+    if (variantId) byVariant.set(variantId, date);
+    else byProduct.set(id, date);
+  }
+  return { file: abs, byProduct, byVariant };
+}
+
+// Stock-in date of a variant: { date, source } or null
+export function stockInOf(p, v, stockDates) {
+  const candidates = [
+    [stockDates?.byVariant.get(v?.variantId), "stock-dates"],
+    [stockDates?.byProduct.get(p.productId), "stock-dates"],
+    [parseDate(p.createdAt), "created-at"],
+    [parseDate(p.publishedAt), "published-at"],
+  ];
+  const hit = candidates.find(([date]) => date);
+  return hit ? { date: hit[0], source: hit[1] } : null;
+}
+
+const bucketName = (b) => b.name ?? `${b.minDays}d+`;
+
+/**
+ * Markdown of one variant under the schedule (profile.params.markdown):
+ * { ageDays, source, inventory, bucket, pct } — bucket/pct null when no bucket matches.
+ * The last bucket whose minDays and minInventory (default 1) are met wins.
+ */
+export function markdownOf(schedule, p, v, inventory, { stockDates = null, today = new Date() } = {}) {
+  const stockIn = stockInOf(p, v, stockDates);
+  const ageDays = stockIn ? Math.max(0, Math.floor((today - stockIn.date) / DAY_MS)) : null;
+  const match = ageDays == null
+    ? null
+    : schedule.buckets.findLast(b => ageDays >= b.minDays && (inventory == null || inventory >= (b.minInventory ?? 1)));
+  return {
+    ageDays,
+    source: stockIn?.source ?? null,
+    inventory,
+    bucket: match ? bucketName(match) : null,
+    pct: match ? match.pct : null,
+  };
+}
+
+// Stock of a product in base mode: sum of the known variant quantities (null if none is known)
+export function productInventory(p) {
+  const known = p.variants.map(v => v.inventory).filter(x => x != null);
+  return known.length ? known.reduce((a, b) => a + b, 0) : null;
+}
@@ -0,0 +1,139 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { validateRoundingStrategy } from "./pricing-profile.mjs";
+import { roundPrice } from "./pricing.mjs";
+
+// ---------- Markets ----------
+// {
+//   "version": 1,
+//   "markets": {
+//     "ch": {
+//       "name": "Switzerland",                  Shopify market name (default price column "Variant Price / Switzerland")
+//       "currency": "CHF",
+//       "fx": 0.94,                             1 unit of the shop currency in the market currency
+//       "multiplier": 1.05,                     optional price uplift (default 1)
+//       "rounding": { "price": { "step": 1, "ending": 0.9, "direction": "nearest" }, "asLowAs": null },
+//       "priceColumn": "...",                   optional, default "Variant Price / <name>"
+//       "metafieldColumn": "..."                optional, default "Metafield: spotted.as_low_as_<key> [number_decimal]"
+//     }
+//   }
+// }
+// Local price = unrounded shop price × fx × multiplier, then the market rounding.
+
+const isPlainObject = (x) => x != null && typeof x === "object" && !Array.isArray(x);
+const MARKET_KEYS = ["name", "currency", "fx", "multiplier", "rounding", "priceColumn", "metafieldColumn"];
+
+const priceColumnOf = (m) => m.priceColumn ?? `Variant Price / ${m.name}`;
+const metafieldColumnOf = (key, m) => m.metafieldColumn ?? `Metafield: spotted.as_low_as_${key} [number_decimal]`;
+
+export function validateMarkets(doc) {
+  const errors = [];
+  if (!isPlainObject(doc) || doc.version !== 1 || !isPlainObject(doc.markets)) {
+    return ['erwartet { "version": 1, "markets": { ... } }'];
+  }
+  if (!Object.keys(doc.markets).length) errors.push("markets: mindestens ein Markt nötig");
+
+  const columns = new Map();
+  for (const [key, m] of Object.entries(doc.markets)) {
+    const where = `markets.${key}`;
+    if (!/^[a-z0-9_]+$/.test(key)) errors.push(`${where}: Schlüssel nur aus a-z, 0-9 und _`);
+    if (!isPlainObject(m)) {
+      errors.push(`${where}: muss ein Objekt sein`);
+      continue;
+    }
+    for (const k of Object.keys(m)) {
+      if (!MARKET_KEYS.includes(k)) errors.push(`${where}: unbekannter Schlüssel "${k}"`);
+    }
+    if (typeof m.name !== "string" || !m.name.trim()) errors.push(`${where}.name: muss ein nicht-leerer String sein`);
+    if (typeof m.currency !== "string" || !/^[A-Z]{3}$/.test(m.currency)) {
+      errors.push(`${where}.currency: muss ein ISO-Währungscode sein (ist ${JSON.stringify(m.currency)})`);
+    }
+    if (typeof m.fx !== "number" || !(m.fx > 0)) errors.push(`${where}.fx: muss eine Zahl > 0 sein (ist ${JSON.stringify(m.fx)})`);
+    if ("multiplier" in m && (typeof m.multiplier !== "number" || !(m.multiplier > 0))) {
+      errors.push(`${where}.multiplier: muss eine Zahl > 0 sein (ist ${JSON.stringify(m.multiplier)})`);
+    }
+    for (const k of ["priceColumn", "metafieldColumn"]) {
+      if (k in m && (typeof m[k] !== "string" || !m[k].trim())) errors.push(`${where}.${k}: muss ein nicht-leerer String sein`);
+    }
+    if ("rounding" in m) {
+      if (!isPlainObject(m.rounding)) errors.push(`${where}.rounding: muss ein Objekt sein`);
+      else {
+        for (const [k, s] of Object.entries(m.rounding)) {
+          if (!["price", "asLowAs"].includes(k)) errors.push(`${where}.rounding.${k}: unbekannt (erlaubt: price, asLowAs)`);
+          else validateRoundingStrategy(`${where}.rounding.${k}`, s, errors);
+        }
+      }
+    }
+    if (typeof m.name !== "string") continue;
+
+    // Two markets must not write the same column
+    for (const col of [priceColumnOf(m), metafieldColumnOf(key, m)]) {
+      const c = col.trim().toLowerCase();
+      if (columns.has(c)) errors.push(`${where}: Spalte "${col}" wird auch von markets.${columns.get(c)} geschrieben`);
+      columns.set(c, key);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Loads the market configuration. Returns { file, hash, markets } — markets:
+ * [{ key, name, currency, fx, multiplier, rounding: { price, asLowAs }, priceColumn, metafieldColumn }].
+ */
+export function loadMarkets(filePath) {
+  const abs = path.resolve(filePath);
+  if (!fs.existsSync(abs)) throw new Error(`Markt-Datei nicht gefunden: ${abs}`);
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(abs, "utf8"));
+  } catch (err) {
+    throw new Error(`Markt-Datei ist kein gültiges JSON: ${abs}\n${err.message}`);
+  }
+  const errors = validateMarkets(doc);
+  if (errors.length) throw new Error(`Markt-Konfiguration ungültig (${abs}):\n- ${errors.join("\n- ")}`);
+
+  return {
+    file: abs,
+    hash: crypto.createHash("sha256").update(JSON.stringify(doc)).digest("hex").slice(0, 12),
+    markets: Object.entries(doc.markets).map(([key, m]) => ({
+      key,
+      name: m.name,
+      currency: m.currency,
+      fx: m.fx,
+      multiplier: m.multiplier ?? 1,
+      rounding: { price: m.rounding?.price ?? null, asLowAs: m.rounding?.asLowAs ?? null },
+      priceColumn: priceColumnOf(m),
+      metafieldColumn: metafieldColumnOf(key, m),
+    })),
+  };
+}
+
+// Export columns the markets read and write (variant prices first, then the product metafields)
+export function marketColumns(markets) {
+  return [...markets.map(m => m.priceColumn), ...markets.map(m => m.metafieldColumn)];
+}
+
+/**
+ * Local prices of one variant plan in a market: { price, asLowAs, limited } (null values when
+ * the plan has none). Same limits as in the shop currency, converted: MSRP cap M × fx × multiplier,
+ * cost floor C × min_cost_ratio × fx.
+ */
+export function marketPrices(plan, market, profile) {
+  if (plan.priceNew == null) return { price: null, asLowAs: null, limited: null };
+  const k = market.fx * market.multiplier;
+  const cap = plan.M * k;
+  const ratio = profile.guardrails.min_cost_ratio;
+  const floor = ratio != null ? plan.C * ratio * market.fx : null;
+
+  const price = roundPrice(plan.priceRaw * k, market.rounding.price, { cap, floor });
+  const asLowAs = plan.asLowAsRaw != null
+    ? roundPrice(plan.asLowAsRaw * k, market.rounding.asLowAs, { cap: Math.min(cap, price.value), floor })
+    : null;
+  return {
+    price: price.value,
+    asLowAs: asLowAs?.value ?? null,
+    limited: price.limited ?? asLowAs?.limited ?? null,
+  };
+}
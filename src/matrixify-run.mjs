@@ -1,659 +1,702 @@
 import fs from "node:fs";
 import path from "node:path";
-import readline from "node:readline";
+import { writeCsv, csvByteLength } from "./csv.mjs";
+import { writeXlsx, PRODUCTS_SHEET } from "./xlsx.mjs";
+import { readProducts } from "./products.mjs";
+import { GUARDRAIL_RULES } from "./pricing.mjs";
+import { loadTagRules, DEFAULT_TAG_RULES_FILE } from "./tag-rules.mjs";
+import { planProduct, outOfScope, importHeadersFor, DEFAULT_MF_COL, DEFAULT_VARIANT_MF_COL } from "./product-plan.mjs";
+import {
+  parseRunOptions, parseApplyOptions, parseReconcileOptions, parseExplainOptions, parseDiffOptions,
+  parseSimulateOptions, parseVerifyOptions,
+  RUN_USAGE, APPLY_USAGE, RECONCILE_USAGE, EXPLAIN_USAGE, DIFF_USAGE, SIMULATE_USAGE, VERIFY_USAGE, CliError,
+} from "./cli.mjs";
+import { buildBulkOperations, writeBulkFiles, applyBulkFiles } from "./shopify-graphql.mjs";
+import { sampleTestBatch, describeSample, loadExcludedIds } from "./test-sampler.mjs";
+import { plannedFromChangeItem, writePlan, readPlan, reconcile, retryImportRows } from "./reconcile.mjs";
+import { decisionRecord } from "./decisions.mjs";
+import { openJsonl } from "./jsonl.mjs";
+import {
+  newRunId, snapshotEntry, openRunSnapshot, copyRunOutputs, listRuns, readRunMeta, readSnapshot, diffSnapshots,
+  findOscillations,
+} from "./history.mjs";
+import { findProducts, explainProduct, formatExplain } from "./explain.mjs";
+import { simulateScenario, compareScenario } from "./simulate.mjs";
+import { marginReport, MARGIN_LIST_HEADERS, MARGIN_HISTOGRAM_HEADERS } from "./margins.mjs";
+import { buildRunReport } from "./report.mjs";
+import { buildScope } from "./scope.mjs";
+import { loadMarkets, marketColumns } from "./markets.mjs";
+import { loadVatModel } from "./vat.mjs";
+import { loadStockDates } from "./markdown.mjs";
+import { splitChunks, chunkBaseName, removeStaleChunks, chunkEntry } from "./chunks.mjs";
+import { listImportFiles, verifyImportFile, VERIFY_CHECKS, VERIFY_REPORT_HEADERS } from "./verify.mjs";
+import {
+  loadPricingProfile, overrideProfile, DEFAULT_PROFILE_FILE, DEFAULT_PROFILE_NAME,
+} from "./pricing-profile.mjs";
 
 const IN_CANDIDATES = [
   "data/matrixify/Products.csv",
   "data/matrixify/products.csv",
+  "data/matrixify/Products.xlsx",
+  "data/matrixify/products.xlsx",
 ];
 
-const OUT_DIR = "out";
-fs.mkdirSync(OUT_DIR, { recursive: true });
-
-// ---------- CSV helpers ----------
-function detectDelimiter(line) {
-  const commas = (line.match(/,/g) || []).length;
-  const semis = (line.match(/;/g) || []).length;
-  return semis > commas ? ";" : ",";
-}
-
-function stripBom(s) {
-  return String(s ?? "").replace(/^\uFEFF/, "");
-}
-
-// minimal CSV line parser (handles quotes + delimiter)
-function parseCsvLine(line, delim) {
-  const out = [];
-  let cur = "";
-  let inQ = false;
-
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-
-    if (ch === '"') {
-      if (inQ && line[i + 1] === '"') {
-        cur += '"';
-        i++;
-      } else {
-        inQ = !inQ;
-      }
-      continue;
-    }
-
-    if (!inQ && ch === delim) {
-      out.push(cur);
-      cur = "";
-      continue;
-    }
-
-    cur += ch;
+// ---------- Input resolve ----------
+function findInput(explicitPath) {
+  if (explicitPath) {
+    const abs = path.resolve(explicitPath);
+    if (!fs.existsSync(abs)) throw new CliError(`Matrixify Export nicht gefunden: ${abs}`);
+    return abs;
   }
-  out.push(cur);
-  return out;
-}
-
-function normHeader(h) {
-  return stripBom(String(h ?? "")).trim().toLowerCase();
-}
-
-function toNumberOrNull(x) {
-  const n = Number(String(x ?? "").replace(",", "."));
-  return Number.isFinite(n) ? n : null;
-}
-
-function approxEqualMoney(a, b) {
-  const na = toNumberOrNull(a);
-  const nb = toNumberOrNull(b);
-  if (!(na > -Infinity) || !(nb > -Infinity)) return false;
-  return Math.abs(na - nb) < 0.005;
-}
-
-function csvEscape(v) {
-  const s = String(v ?? "");
-  if (s.includes('"') || s.includes(",") || s.includes("\n") || s.includes("\r") || s.includes(";")) {
-    return `"${s.replaceAll('"', '""')}"`;
+  for (const p of IN_CANDIDATES) {
+    const abs = path.resolve(p);
+    if (fs.existsSync(abs)) return abs;
   }
-  return s;
+  throw new Error(
+    `Matrixify Export nicht gefunden.\nErwartet unter:\n- ${IN_CANDIDATES.join("\n- ")}`
+  );
 }
 
-function writeCsv(filePath, headers, rows) {
-  const delim = ",";
-  const lines = [];
-  lines.push(headers.map(csvEscape).join(delim));
-  for (const r of rows) {
-    lines.push(headers.map(h => csvEscape(r[h] ?? "")).join(delim));
+async function runCommand(argv) {
+  const opts = parseRunOptions(argv);
+  if (!opts) {
+    console.log(RUN_USAGE);
+    return;
   }
-  fs.writeFileSync(filePath, lines.join("\n"));
-}
 
-// Multiline-CSV support: record is complete if quotes are balanced
-function isCsvRecordComplete(s) {
-  let inQ = false;
-  for (let i = 0; i < s.length; i++) {
-    if (s[i] === '"') {
-      if (inQ && s[i + 1] === '"') { i++; continue; } // escaped quote
-      inQ = !inQ;
-    }
-  }
-  return !inQ;
-}
+  const inputPath = findInput(opts.input);
+  console.log("✅ Using input:", inputPath);
 
-function isNumericId(s) {
-  return /^\d+$/.test(String(s ?? "").trim());
-}
+  const profile = loadPricingProfile(
+    opts.profileFile ?? DEFAULT_PROFILE_FILE,
+    opts.profile ?? DEFAULT_PROFILE_NAME
+  );
+  console.log(`✅ Pricing profile: "${profile.name}" hash=${profile.hash} (${profile.file})`);
 
-// ---------- Arigato logic ----------
-function normTag(t) {
-  return String(t || "").toLowerCase().trim();
-}
+  const tagRules = loadTagRules(opts.tagRules ?? DEFAULT_TAG_RULES_FILE);
+  console.log(`✅ Tag rules: hash=${tagRules.hash} (${tagRules.file})`);
 
-function parseTags(tagsCell) {
-  const raw = String(tagsCell ?? "").trim();
-  if (!raw) return [];
-  return raw.split(",").map(x => x.trim()).filter(Boolean);
-}
+  const markets = opts.markets ? loadMarkets(opts.markets) : null;
+  if (markets) console.log(`✅ Markets: ${markets.markets.map(m => `${m.key} (${m.currency})`).join(", ")} hash=${markets.hash} (${markets.file})`);
 
-function hasUsedGateway(tagsArr) {
-  const lower = (tagsArr || []).map(normTag);
-  return lower.includes("preowned / defect") || lower.includes("preloved");
-}
+  const vat = opts.vat ? loadVatModel(opts.vat) : null;
+  if (vat) console.log(`✅ VAT model: default ${vat.default.scheme} ${vat.default.rate}, ${vat.rules.length} rules hash=${vat.hash} (${vat.file})`);
 
-// CNFDNT skip-tag
-function hasCnfdnt(tagsArr) {
-  const lower = (tagsArr || []).map(normTag);
-  return lower.includes("cnfdnt");
-}
+  const stockDates = opts.stockDates ? await loadStockDates(opts.stockDates) : null;
+  if (stockDates) console.log(`✅ Stock dates: ${stockDates.byProduct.size} products, ${stockDates.byVariant.size} variants (${stockDates.file})`);
 
-/**
- * Classification WITHOUT VAT.
- * Uses your same fee logic, but removes VAT multiplication entirely.
- */
-function determineTypeArigato(M, C, tagsArr) {
-  if (!(M > 0) || !(C > 0)) return "skip";
-  if (hasUsedGateway(tagsArr)) return "used";
+  const pricingMode = opts.mode;
+  const perVariant = pricingMode === "per-variant";
+  console.log(`✅ Pricing mode: ${pricingMode}`);
 
-  const d_max = 0.51;
-  const ship_cost = 12.9;
-  const cust_ship = 8.5;
-  const aff_rate = 0.12;
-  const other_rate = 0.0455;
+  const { products, header, metafieldColName, variantMetafieldColName, warnings } = await readProducts(inputPath, {
+    tagSeparator: tagRules.separator,
+    extraColumns: markets ? marketColumns(markets.markets) : [],
+  });
 
-  const P_sale_max = M * (1 - d_max);
-  const affiliate_fee = P_sale_max * aff_rate;
+  console.log(`2) Parsed products: ${products.size}`);
 
-  const gross_with_ship = P_sale_max + cust_ship;
-  const other_fee = gross_with_ship * other_rate; // ✅ NO VAT
+  const scope = buildScope(opts.scope, header);
+  if (scope.active) console.log(`✅ Scope: ${JSON.stringify(opts.scope)}`);
 
-  const G = P_sale_max - C - ship_cost - affiliate_fee - other_fee;
-  return (G >= 0) ? "standard" : "low-margin";
-}
+  const previewFull = [];
+  const previewOnly = [];
+  const previewVariants = [];
 
-function clamp(x, a, b) { return Math.max(a, Math.min(b, x)); }
-function round2(x) { return Math.round(x * 100) / 100; }
-
-function computePricing(M, C, type) {
-  if (!(M > 0) || !(C > 0)) return { ok: false };
-
-  // constants (from your table)
-  const U  = { alpha: 0.25, beta: 1.20, gamma: 0.20, N: 35.00, K0: 200.0, k: 200.0 };
-  const LM = { alpha: 0.40, beta: 0.90, gamma: 0.00, N: 35.00, K0: 500.0, k: 300.0 };
-  const STD = {
-    d_max: 0.51,
-    mu0: 0.75,
-    beta_disc: 0.00,
-    gamma_M: 0.23,
-    rho: 0.40,
-    d_ref: 0.91,
-    M_ref: 25000.0
-  };
+  const importOnlyChangesRows = [];
+  const importFullRows = [];
+  const rollbackRows = [];
+  const quarantineRows = [];
+  const quarantinedByRule = Object.fromEntries(GUARDRAIL_RULES.map(r => [r, 0]));
+  let rollbackVariantsWithoutPrice = 0;
 
-  let price_new = M;
-  let as_low_as = 0;
+  const changeItems = [];
 
-  if (type === "used" || type === "low-margin") {
-    const P = (type === "used") ? U : LM;
-    const sM = 1 / (1 + Math.exp((M - P.K0) / P.k));
-    const log10_MC = Math.log10(M / C);
-    const price_raw = C * (1 + P.alpha + P.beta * log10_MC + P.gamma * sM) + P.N;
-    price_new = Math.min(M, price_raw);
-    as_low_as = 0;
-  }
+  let drafted = 0;
+  let reactivated = 0;
+  let marketPriceChanges = 0;
+  let marketMetafieldChanges = 0;
+  let cnfdntIgnored = 0;
+  const cnfdntPreview = [];
+  const outOfScopeByReason = {};
+  const byType = { used: 0, standard: 0, "low-margin": 0, skip: 0 };
+  const byVat = {};
+  const byMarkdown = {};
+  let unknownStockAge = 0;
+
+  const mfCol = metafieldColName ?? DEFAULT_MF_COL;
+  const variantMfCol = perVariant ? (variantMetafieldColName ?? DEFAULT_VARIANT_MF_COL) : null;
+  const importHeaders = importHeadersFor(mfCol, variantMfCol, markets?.markets);
+
+  fs.mkdirSync(opts.outDir, { recursive: true });
+  const written = [];
+
+  // Decision journal: one record per product, streamed while planning
+  const runDate = new Date();
+  const runAt = runDate.toISOString();
+  const decisionsPath = path.join(opts.outDir, "decisions.jsonl");
+  const journal = opts.outputs.has("decisions") ? openJsonl(decisionsPath) : null;
+
+  // Run history: compact snapshot per product, kept across runs
+  const runId = newRunId(runDate);
+  const snapshot = opts.outputs.has("history") ? openRunSnapshot(opts.historyDir, runId) : null;
+
+  const ctx = {
+    profile, tagRules, pricingMode, perVariant, mfCol, variantMfCol, markets: markets?.markets ?? [], vat,
+    stockDates, today: runDate,
+  };
+  for (const p of products.values()) {
+    const trace = journal ? {} : null;
+    const scopeReason = scope.outOfScope(p);
+    const planned = planProduct(p, ctx, trace);
+    const r = scopeReason ? outOfScope(planned, scopeReason) : planned;
+    if (journal) await journal.write({ runAt, ...decisionRecord(p, r, trace, ctx) });
+    if (snapshot) await snapshot.write(snapshotEntry(p, r));
+
+    if (r.outOfScope) outOfScopeByReason[r.outOfScope] = (outOfScopeByReason[r.outOfScope] || 0) + 1;
+    else if (r.cnfdnt) {
+      cnfdntIgnored++;
+      cnfdntPreview.push(r.preview);
+    }
+    if (r.doDraft) drafted++;
+    if (r.doReactivate) reactivated++;
+    if (r.preview.doMarketPrice) marketPriceChanges++;
+    if (r.preview.doMarketMetafield) marketMetafieldChanges++;
+    byType[r.type] = (byType[r.type] || 0) + 1;
+    if (vat && r.preview.vat_scheme) {
+      const key = `${r.preview.vat_scheme} ${r.preview.vat_rate}`;
+      byVat[key] = (byVat[key] || 0) + 1;
+    }
+    if (profile.params.markdown && r.type !== "skip") {
+      if (r.preview.stock_age_days === "") unknownStockAge++;
+      else if (r.preview.markdown_bucket) byMarkdown[r.preview.markdown_bucket] = (byMarkdown[r.preview.markdown_bucket] || 0) + 1;
+    }
 
-  if (type === "standard") {
-    let d = 1 - (C / M);
-    d = clamp(d, 0, 0.99);
+    previewFull.push(r.preview);
+    if (r.needsChange) previewOnly.push(r.preview);
+    previewVariants.push(...r.previewVariants);
 
-    const L_d = Math.log10(1 / (1 - d));
-    const L_dref = Math.log10(1 / (1 - STD.d_ref));
-    const mu_d = STD.mu0 + STD.beta_disc * (L_d - L_dref);
-    const m_shape = Math.pow(M / STD.M_ref, -STD.gamma_M);
-    const A_M = (M * m_shape) / (1 - STD.d_max);
+    for (const rule of r.quarantineRules) quarantinedByRule[rule]++;
+    quarantineRows.push(...r.quarantineRows);
 
-    const B_d =
-      (1 - STD.rho) * (1 + mu_d) * (1 - d) +
-      STD.rho * (1 + STD.mu0) * (1 - STD.d_ref);
+    importFullRows.push(...r.fullRows);
+    if (r.change) changeItems.push(r.change);
+    importOnlyChangesRows.push(...r.onlyChangesRows);
+    rollbackRows.push(...r.rollbackRows);
+    rollbackVariantsWithoutPrice += r.rollbackVariantsWithoutPrice;
+  }
+  if (journal) {
+    await journal.close();
+    written.push(decisionsPath);
+  }
+  if (snapshot) {
+    await snapshot.close({
+      runAt,
+      input: inputPath,
+      pricingProfile: profile.name,
+      pricingProfileHash: profile.hash,
+      pricingMode,
+      tagRulesHash: tagRules.hash,
+      ...(markets ? { marketsHash: markets.hash } : {}),
+      ...(vat ? { vatHash: vat.hash } : {}),
+      products: products.size,
+      byType,
+      ...(scope.active ? { scope: opts.scope } : {}),
+    });
+    written.push(snapshot.dir);
+  }
+  const write = async (output, fileName, headers, rows) => {
+    if (!opts.outputs.has(output)) return;
+    const filePath = path.join(opts.outDir, fileName);
+    await writeCsv(filePath, headers, rows);
+    written.push(filePath);
+  };
 
-    const P_hidden_raw = A_M * B_d;
-    const P_hidden = Math.min(M, P_hidden_raw);
-    const P_sale_min = (1 - STD.d_max) * P_hidden;
+  // Matrixify import file: CSV, or .xlsx with a "Products" sheet; split into parts
+  // with --chunk-rows / --chunk-bytes (see chunks.mjs), every file listed in manifest.json
+  const xlsx = opts.format === "xlsx";
+  const importExt = xlsx ? ".xlsx" : ".csv";
+  const chunked = opts.chunkRows != null || opts.chunkBytes != null;
+  const manifestImports = [];
+  const writeImport = async (output, baseName, rows) => {
+    if (!opts.outputs.has(output)) return;
+    removeStaleChunks(opts.outDir, baseName, importExt);
+    const chunks = chunked
+      ? splitChunks(rows, {
+        maxRows: opts.chunkRows,
+        maxBytes: opts.chunkBytes,
+        headerBytes: csvByteLength(importHeaders, [], { header: true }),
+        bytesOf: (group) => csvByteLength(importHeaders, group),
+      })
+      : [rows];
+
+    const entry = { name: baseName, output, products: new Set(rows.map(r => r.ID)).size, rows: rows.length, chunks: [] };
+    for (const [i, chunkRows] of chunks.entries()) {
+      const filePath = path.join(opts.outDir, (chunked ? chunkBaseName(baseName, i) : baseName) + importExt);
+      if (xlsx) await writeXlsx(filePath, [{ name: PRODUCTS_SHEET, headers: importHeaders, rows: chunkRows }]);
+      else await writeCsv(filePath, importHeaders, chunkRows);
+      written.push(filePath);
+      entry.chunks.push(await chunkEntry(filePath, chunkRows));
+    }
+    manifestImports.push(entry);
+  };
 
-    price_new = P_hidden;
-    as_low_as = P_sale_min;
+  // --- Write previews ---
+  const prevHeaders = Object.keys(previewFull[0] || {});
+  const prevVariantHeaders = Object.keys(previewVariants[0] || {});
+  if (xlsx && opts.outputs.has("preview")) {
+    const filePath = path.join(opts.outDir, "preview.xlsx");
+    await writeXlsx(filePath, [
+      { name: "All products", headers: prevHeaders, rows: previewFull, formatted: true },
+      { name: "Changes only", headers: prevHeaders, rows: previewOnly, formatted: true },
+      ...(perVariant ? [{ name: "Variants", headers: prevVariantHeaders, rows: previewVariants, formatted: true }] : []),
+    ]);
+    written.push(filePath);
+  } else if (!xlsx) {
+    await write("preview", "preview.full.csv", prevHeaders, previewFull);
+    await write("preview", "preview.only-changes.csv", prevHeaders, previewOnly);
+    if (perVariant) await write("preview", "preview.variants.csv", prevVariantHeaders, previewVariants);
   }
 
-  return { ok: true, price_new: round2(price_new), as_low_as: round2(as_low_as) };
-}
+  // --- Write Matrixify import files ---
+  await writeImport("only-changes", "matrixify.import.only-changes", importOnlyChangesRows);
+  await writeImport("full", "matrixify.import.full", importFullRows);
+
+  await write("quarantine", "quarantine.csv", [
+    "productId", "handle", "title", "variantId", "type", "rule", "value", "limit",
+    "M_used", "C_used", "price_old", "price_new", "as_low_as_new",
+    "pricing_profile", "pricing_profile_hash",
+  ], quarantineRows);
+
+  await writeImport("rollback", "matrixify.import.rollback", rollbackRows);
+
+  // --- Margin analytics (at price_new and at as-low-as, see margins.mjs) ---
+  const margins = marginReport(previewFull, profile);
+  await write("margins", "margins.histogram.csv", MARGIN_HISTOGRAM_HEADERS, margins.histogram);
+  await write("margins", "margins.loss-at-full-discount.csv", MARGIN_LIST_HEADERS, margins.lossAtFullDiscount);
+  await write("margins", "margins.below-break-even.csv", MARGIN_LIST_HEADERS, margins.belowBreakEven);
+
+  // --- Shopify Admin GraphQL bulk files (same change set as only-changes) ---
+  if (opts.outputs.has("graphql")) {
+    written.push(...writeBulkFiles(path.join(opts.outDir, "shopify"), buildBulkOperations(changeItems), profile));
+  }
 
-const TYPE_TAGS = ["used", "standard", "low-margin"];
+  // --- Planned change set, input for `reconcile` after the import ---
+  if (opts.outputs.has("plan")) {
+    const filePath = path.join(opts.outDir, "plan.jsonl");
+    await writePlan(filePath, {
+      createdAt: runAt,
+      input: inputPath,
+      pricingProfile: profile.name,
+      pricingProfileHash: profile.hash,
+      pricingMode,
+      metafieldColName: mfCol,
+      variantMetafieldColName: variantMfCol,
+      tagRulesHash: tagRules.hash,
+      tagSeparator: tagRules.separator,
+      ...(markets ? { marketsHash: markets.hash } : {}),
+      ...(vat ? { vatHash: vat.hash } : {}),
+    }, products, new Map(changeItems.map(x => [x.productId, plannedFromChangeItem(x)])));
+    written.push(filePath);
+  }
 
-function computeTagDiff(currentTagsArr, desiredType) {
-  const cur = currentTagsArr || [];
-  const curLower = cur.map(normTag);
+  // --- Self-contained HTML report for the sign-off before the import ---
+  if (opts.outputs.has("report")) {
+    const filePath = path.join(opts.outDir, "report.html");
+    fs.writeFileSync(filePath, buildRunReport({
+      meta: { runAt, input: inputPath, pricingProfile: profile.name, pricingProfileHash: profile.hash, pricingMode },
+      previewRows: previewFull,
+      cnfdnt: cnfdntPreview,
+      changeItems,
+      warnings,
+    }));
+    written.push(filePath);
+  }
 
-  const tags_to_add = [];
-  const tags_to_remove = [];
+  // --- Test batch from only-changes (seeded, stratified; see test-sampler.mjs) ---
+  const excludeIds = await loadExcludedIds(opts.testExclude);
+  const picked = sampleTestBatch(changeItems, {
+    count: opts.testCount,
+    quotas: opts.testQuotas,
+    seed: opts.testSeed,
+    excludeIds,
+  });
+  const pickedIds = new Set(picked.map(x => x.item.productId));
+  const testRows = importOnlyChangesRows.filter(r => pickedIds.has(r["ID"]));
 
-  if (!TYPE_TAGS.includes(desiredType)) {
-    return { desiredTagsArr: cur, tags_to_add, tags_to_remove, doTags: false };
+  await writeImport("test", `matrixify.import.test-${opts.testCount}`, testRows);
+  if (opts.outputs.has("rollback")) {
+    await writeImport("test", `matrixify.import.test-${opts.testCount}.rollback`,
+      rollbackRows.filter(r => pickedIds.has(r["ID"])));
+  }
+  if (opts.outputs.has("test")) {
+    const manifestPath = path.join(opts.outDir, `matrixify.import.test-${opts.testCount}.manifest.json`);
+    fs.writeFileSync(manifestPath, JSON.stringify({
+      seed: opts.testSeed,
+      count: opts.testCount,
+      quotas: opts.testQuotas,
+      excludedProducts: excludeIds.size,
+      pricingProfile: profile.name,
+      pricingProfileHash: profile.hash,
+      products: picked.map(describeSample),
+    }, null, 2));
+    written.push(manifestPath);
+  }
+  if (opts.outputs.has("manifest")) {
+    const manifestPath = path.join(opts.outDir, "manifest.json");
+    fs.writeFileSync(manifestPath, JSON.stringify({
+      runId,
+      runAt,
+      input: inputPath,
+      pricingProfile: profile.name,
+      pricingProfileHash: profile.hash,
+      pricingMode,
+      format: opts.format,
+      chunking: chunked ? { maxRows: opts.chunkRows, maxBytes: opts.chunkBytes } : null,
+      imports: manifestImports,
+    }, null, 2));
+    written.push(manifestPath);
   }
 
-  if (!curLower.includes(desiredType)) tags_to_add.push(desiredType);
+  // --- Keep the outputs with the run's snapshot (out/ is overwritten by the next run) ---
+  const runCopies = snapshot ? copyRunOutputs(snapshot.dir, opts.outDir, written) : [];
 
-  for (const t of TYPE_TAGS) {
-    if (t !== desiredType && curLower.includes(t)) tags_to_remove.push(t);
+  console.log(`Stats: totalProducts=${products.size}, profile=${profile.name}@${profile.hash}`);
+  console.log(`onlyChangesRows=${importOnlyChangesRows.length}, fullRows=${importFullRows.length}`);
+  console.log(`drafted=${drafted}, reactivated=${reactivated}, cnfdntIgnored=${cnfdntIgnored}, parserWarnings=${warnings.length}`);
+  console.log(`rollbackRows=${rollbackRows.length}, rollbackVariantsWithoutPrice=${rollbackVariantsWithoutPrice}`);
+  console.log(`ByType: ${JSON.stringify(byType)}`);
+  if (scope.active) {
+    const outCount = Object.values(outOfScopeByReason).reduce((a, b) => a + b, 0);
+    console.log(`Scope: inScope=${products.size - outCount}, outOfScope=${outCount} ${JSON.stringify(outOfScopeByReason)}`);
   }
+  if (vat) console.log(`ByVat: ${JSON.stringify(byVat)}`);
+  if (profile.params.markdown) console.log(`ByMarkdown: ${JSON.stringify(byMarkdown)}, unknownStockAge=${unknownStockAge}`);
+  if (markets) {
+    console.log(`Markets: ${markets.markets.map(m => m.key).join(", ")}, marketPriceChanges=${marketPriceChanges}, marketMetafieldChanges=${marketMetafieldChanges} (products)`);
+  }
+  console.log(`QuarantinedByRule (products): ${JSON.stringify(quarantinedByRule)}, quarantineRows=${quarantineRows.length}`);
+  console.log(`Margins: lossAtFullDiscount=${margins.stats.lossAtFullDiscount} (G ${margins.stats.lossAtFullDiscountTotal}), belowBreakEven=${margins.stats.belowBreakEven} (G ${margins.stats.belowBreakEvenTotal})`);
+  if (chunked) {
+    console.log(`Chunks: ${manifestImports.map(m => `${m.name}=${m.chunks.length}`).join(", ")} (maxRows ${opts.chunkRows ?? "-"}, maxBytes ${opts.chunkBytes ?? "-"})`);
+  }
+  console.log(`testProducts=${pickedIds.size} (quotas ${JSON.stringify(opts.testQuotas)}, max ${opts.testCount}, seed "${opts.testSeed}", excluded ${excludeIds.size})`);
+  for (const filePath of written) console.log(`✅ Wrote: ${filePath}`);
+  if (runCopies.length) console.log(`✅ Copied ${runCopies.length} output files to ${path.join(snapshot.dir, "out")}`);
+}
 
-  const doTags = tags_to_add.length > 0 || tags_to_remove.length > 0;
-
-  const cleaned = cur.filter(t => !TYPE_TAGS.includes(normTag(t)));
-  const desiredTagsArr = cleaned.slice();
-  if (!cleaned.map(normTag).includes(desiredType)) desiredTagsArr.push(desiredType);
+async function applyCommand(argv) {
+  const opts = parseApplyOptions(argv);
+  if (!opts) {
+    console.log(APPLY_USAGE);
+    return;
+  }
+  if (!fs.existsSync(opts.dir)) throw new CliError(`Verzeichnis nicht gefunden: ${opts.dir}`, APPLY_USAGE);
 
-  return { desiredTagsArr, tags_to_add, tags_to_remove, doTags };
+  console.log(`✅ Applying ${opts.dir} -> ${opts.endpoint} (batch size ${opts.batchSize})`);
+  const stats = await applyBulkFiles(opts.dir, opts);
+  console.log(`Stats: ok=${stats.ok}, failed=${stats.failed}`);
+  console.log(`✅ Wrote: ${opts.logPath}`);
+  if (stats.failed) process.exitCode = 1;
 }
 
-// ---------- Input resolve ----------
-function findInput() {
-  for (const p of IN_CANDIDATES) {
-    const abs = path.resolve(p);
-    if (fs.existsSync(abs)) return abs;
+async function reconcileCommand(argv) {
+  const opts = parseReconcileOptions(argv);
+  if (!opts) {
+    console.log(RECONCILE_USAGE);
+    return;
   }
-  throw new Error(
-    `Matrixify CSV nicht gefunden.\nErwartet unter:\n- ${IN_CANDIDATES.join("\n- ")}`
-  );
+  if (!fs.existsSync(opts.input)) throw new CliError(`Export nicht gefunden: ${opts.input}`, RECONCILE_USAGE);
+
+  const plan = await readPlan(opts.plan);
+  console.log(`✅ Plan: ${opts.plan} (${plan.items.size} products, profile ${plan.meta.pricingProfile}@${plan.meta.pricingProfileHash})`);
+  const onlyIds = opts.only.length ? await loadExcludedIds(opts.only) : null;
+  if (onlyIds) console.log(`✅ Imported products: ${onlyIds.size} (${opts.only.join(", ")})`);
+
+  const tagSeparator = plan.meta.tagSeparator ?? ",";
+  const { products } = await readProducts(opts.input, { tagSeparator });
+  const { issues, retry } = reconcile(plan, products, { onlyIds });
+
+  fs.mkdirSync(opts.outDir, { recursive: true });
+  const reportPath = path.join(opts.outDir, "reconcile.report.csv");
+  await writeCsv(reportPath, [
+    "productId", "handle", "variantId", "field", "kind", "expected", "actual", "pricing_profile", "pricing_profile_hash",
+  ], issues.map(x => ({ ...x, pricing_profile: plan.meta.pricingProfile, pricing_profile_hash: plan.meta.pricingProfileHash })));
+
+  const retryHeaders = importHeadersFor(plan.meta.metafieldColName, plan.meta.variantMetafieldColName);
+  const retryRows = retryImportRows(retry, products, {
+    mfCol: plan.meta.metafieldColName,
+    variantMfCol: plan.meta.variantMetafieldColName,
+    tagSeparator,
+    extraCols: { "Pricing Profile": plan.meta.pricingProfile, "Pricing Profile Hash": plan.meta.pricingProfileHash },
+  });
+  const retryPath = path.join(opts.outDir, `matrixify.import.reconcile-retry.${opts.format}`);
+  if (opts.format === "xlsx") await writeXlsx(retryPath, [{ name: PRODUCTS_SHEET, headers: retryHeaders, rows: retryRows }]);
+  else await writeCsv(retryPath, retryHeaders, retryRows);
+
+  const byKind = {};
+  for (const x of issues) byKind[`${x.kind}:${x.field}`] = (byKind[`${x.kind}:${x.field}`] || 0) + 1;
+  console.log(`Stats: issues=${issues.length}, retryProducts=${retry.size}, retryRows=${retryRows.length}`);
+  console.log(`ByKind: ${JSON.stringify(byKind)}`);
+  console.log(`✅ Wrote: ${reportPath}`);
+  console.log(`✅ Wrote: ${retryPath}`);
+  if (issues.some(x => x.kind !== "unplanned")) process.exitCode = 1;
 }
 
-async function main() {
-  const inputPath = findInput();
-  console.log("✅ Using input:", inputPath);
+async function explainCommand(argv) {
+  const opts = parseExplainOptions(argv);
+  if (!opts) {
+    console.log(EXPLAIN_USAGE);
+    return;
+  }
+  // --json: stdout carries only the JSON
+  const log = opts.json ? console.error : console.log;
 
-  const rl = readline.createInterface({
-    input: fs.createReadStream(inputPath, { encoding: "utf8" }),
-    crlfDelay: Infinity,
+  const inputPath = findInput(opts.input);
+  const profile = loadPricingProfile(
+    opts.profileFile ?? DEFAULT_PROFILE_FILE,
+    opts.profile ?? DEFAULT_PROFILE_NAME
+  );
+  log(`✅ Using input: ${inputPath}`);
+  log(`✅ Pricing profile: "${profile.name}" hash=${profile.hash} (${profile.file}), mode ${opts.mode}`);
+  const tagRules = loadTagRules(opts.tagRules ?? DEFAULT_TAG_RULES_FILE);
+  const markets = opts.markets ? loadMarkets(opts.markets) : null;
+  const vat = opts.vat ? loadVatModel(opts.vat) : null;
+  const stockDates = opts.stockDates ? await loadStockDates(opts.stockDates) : null;
+
+  const { products, metafieldColName, variantMetafieldColName } = await readProducts(inputPath, {
+    log,
+    tagSeparator: tagRules.separator,
+    extraColumns: markets ? marketColumns(markets.markets) : [],
   });
+  const perVariant = opts.mode === "per-variant";
+  const ctx = {
+    profile,
+    tagRules,
+    pricingMode: opts.mode,
+    perVariant,
+    mfCol: metafieldColName ?? DEFAULT_MF_COL,
+    variantMfCol: perVariant ? (variantMetafieldColName ?? DEFAULT_VARIANT_MF_COL) : null,
+    markets: markets?.markets ?? [],
+    vat,
+    stockDates,
+  };
 
-  let header = null;
-  let delim = ",";
-  let idx = {};
-  let metafieldColName = null;
-
-  const products = new Map();
-
-  let pending = "";
-
-  for await (const rawLine of rl) {
-    const line0 = stripBom(rawLine);
-
-    if (!pending && !line0.trim()) continue;
-    pending = pending ? (pending + "\n" + line0) : line0;
-
-    if (!isCsvRecordComplete(pending)) continue;
-
-    const record = pending;
-    pending = "";
-
-    if (!header) {
-      delim = detectDelimiter(record);
-      header = parseCsvLine(record, delim).map(h => stripBom(h).replace(/^"|"$/g, ""));
-      const headerNorm = header.map(normHeader);
-
-      for (let i = 0; i < header.length; i++) {
-        const hn = headerNorm[i];
-        if (hn.startsWith("metafield: spotted.as_low_as")) metafieldColName = header[i];
-      }
-
-      const mustHave = [
-        "id", "tags", "status",
-        "variant id", "variant position", "variant price",
-        "variant compare at price", "variant cost"
-      ];
-      const missing = mustHave.filter(k => !headerNorm.includes(normHeader(k)));
-      if (missing.length) {
-        console.log("Headers detected (first 50):", header.slice(0, 50));
-        throw new Error(`Spalten fehlen in CSV: ${missing.map(x => `"${x}"`).join(", ")}`);
-      }
-
-      const indexOf = (name) => headerNorm.indexOf(normHeader(name));
-      idx = {
-        ID: indexOf("ID"),
-        HANDLE: headerNorm.indexOf("handle"),
-        TITLE: headerNorm.indexOf("title"),
-        TAGS: headerNorm.indexOf("tags"),
-        STATUS: headerNorm.indexOf("status"),
-        VARIANT_ID: indexOf("Variant ID"),
-        VARIANT_POS: indexOf("Variant Position"),
-        VARIANT_PRICE: indexOf("Variant Price"),
-        VARIANT_COMPARE: indexOf("Variant Compare At Price"),
-        VARIANT_COST: indexOf("Variant Cost"),
-        MF_ASLOWAS: metafieldColName ? headerNorm.indexOf(normHeader(metafieldColName)) : -1,
-      };
-
-      console.log(`✅ Header ok. Delimiter="${delim}". Metafield col="${metafieldColName ?? "NOT FOUND"}"`);
-      continue;
-    }
+  const { found, missing } = findProducts(products, opts.keys);
+  const results = found.map(p => explainProduct(p, ctx));
 
-    const cells = parseCsvLine(record, delim);
+  if (opts.json) console.log(JSON.stringify({ products: results, notFound: missing }, null, 2));
+  else for (const x of results) console.log(formatExplain(x));
 
-    const productId = (cells[idx.ID] ?? "").trim().replace(/^"|"$/g, "");
-    if (!productId) continue;
+  if (missing.length) {
+    console.error(`❌ Nicht im Export gefunden: ${missing.join(", ")}`);
+    process.exitCode = 1;
+  }
+}
 
-    // FAIL-FAST: ID must be numeric
-    if (!isNumericId(productId)) {
-      throw new Error(
-        [
-          'FAIL-FAST: "ID" ist nicht numerisch (CSV-Datensatz vermutlich wegen Newlines/Quotes kaputt geparst).',
-          `ID parsed as: "${productId}"`,
-          `Raw record (first 250 chars): ${JSON.stringify(record.slice(0, 250))}`,
-        ].join("\n")
-      );
-    }
+async function diffCommand(argv) {
+  const opts = parseDiffOptions(argv);
+  if (!opts) {
+    console.log(DIFF_USAGE);
+    return;
+  }
 
-    const tagsCell = cells[idx.TAGS] ?? "";
-    const status = (cells[idx.STATUS] ?? "").trim().replace(/^"|"$/g, "");
-    const title = (cells[idx.TITLE] ?? "").trim().replace(/^"|"$/g, "");
-    const handle = (cells[idx.HANDLE] ?? "").trim().replace(/^"|"$/g, "");
-
-    const variantId = (cells[idx.VARIANT_ID] ?? "").trim().replace(/^"|"$/g, "");
-    const pos = toNumberOrNull(cells[idx.VARIANT_POS]) ?? 999999;
-    const price = toNumberOrNull(cells[idx.VARIANT_PRICE]);
-    const compareAt = toNumberOrNull(cells[idx.VARIANT_COMPARE]); // MSRP gross
-    const cost = toNumberOrNull(cells[idx.VARIANT_COST]);         // Cost gross (as provided)
-
-    const asLowAsCurrent = (idx.MF_ASLOWAS >= 0 ? (cells[idx.MF_ASLOWAS] ?? "") : "").trim().replace(/^"|"$/g, "");
-
-    if (!products.has(productId)) {
-      products.set(productId, {
-        productId,
-        title,
-        handle,
-        status,
-        tagsArr: parseTags(tagsCell),
-        tagsRaw: tagsCell,
-        asLowAsCurrent,
-        variants: [],
-      });
+  const runs = listRuns(opts.historyDir);
+  if (opts.list) {
+    for (const id of runs) {
+      const meta = readRunMeta(opts.historyDir, id);
+      console.log(`${id}  profile=${meta.pricingProfile}@${meta.pricingProfileHash} mode=${meta.pricingMode} products=${meta.products}`);
     }
+    return;
+  }
 
-    const p = products.get(productId);
-    p.variants.push({ variantId, pos, price, compareAt, cost });
+  const toId = opts.to ?? runs.at(-1);
+  const toIdx = runs.indexOf(toId);
+  if (toIdx < 0) throw new CliError(`Run nicht gefunden: ${toId ?? "(keine Runs)"} in ${opts.historyDir}`, DIFF_USAGE);
+  const fromId = opts.from ?? runs[toIdx - 1];
+  if (!fromId || !runs.includes(fromId)) {
+    throw new CliError(`Vergleichs-Run nicht gefunden: ${fromId ?? "(nur ein Run)"} in ${opts.historyDir}`, DIFF_USAGE);
+  }
 
-    if (!p.title && title) p.title = title;
-    if (!p.handle && handle) p.handle = handle;
-    if (!p.status && status) p.status = status;
-    if (!p.tagsRaw && tagsCell) { p.tagsRaw = tagsCell; p.tagsArr = parseTags(tagsCell); }
-    if (!p.asLowAsCurrent && asLowAsCurrent) p.asLowAsCurrent = asLowAsCurrent;
+  console.log(`✅ Diff ${fromId} -> ${toId}`);
+  const from = await readSnapshot(opts.historyDir, fromId);
+  const to = await readSnapshot(opts.historyDir, toId);
+  const fromMeta = readRunMeta(opts.historyDir, fromId);
+  const toMeta = readRunMeta(opts.historyDir, toId);
+  const rows = diffSnapshots(from, to).map(x => ({
+    ...x,
+    pricing_profile_from: fromMeta.pricingProfile,
+    pricing_profile_hash_from: fromMeta.pricingProfileHash,
+    pricing_profile_to: toMeta.pricingProfile,
+    pricing_profile_hash_to: toMeta.pricingProfileHash,
+  }));
+
+  const windowIds = runs.slice(Math.max(0, toIdx + 1 - opts.window), toIdx + 1);
+  const snapshots = [];
+  for (const id of windowIds) snapshots.push(id === toId ? to : id === fromId ? from : await readSnapshot(opts.historyDir, id));
+  // Profile of every run in the window, in the order of `types`
+  const windowProfiles = windowIds.map(id => readRunMeta(opts.historyDir, id))
+    .map(m => `${m.pricingProfile}@${m.pricingProfileHash}`).join(" > ");
+  const oscillating = findOscillations(snapshots, opts.maxFlips).map(x => ({ ...x, pricing_profiles: windowProfiles }));
+
+  fs.mkdirSync(opts.outDir, { recursive: true });
+  const diffPath = path.join(opts.outDir, "diff.csv");
+  const oscPath = path.join(opts.outDir, "oscillation.csv");
+  await writeCsv(diffPath, [
+    "productId", "handle", "change", "from", "to", "delta_pct",
+    "pricing_profile_from", "pricing_profile_hash_from", "pricing_profile_to", "pricing_profile_hash_to",
+  ], rows);
+  await writeCsv(oscPath, ["productId", "handle", "changes", "types", "pricing_profiles"], oscillating);
+
+  const count = (pred) => rows.filter(pred).length;
+  const transitions = {};
+  for (const x of rows.filter(x => x.change === "type")) {
+    const key = `${x.from}->${x.to}`;
+    transitions[key] = (transitions[key] || 0) + 1;
   }
+  const priceRows = rows.filter(x => x.change === "price");
+  console.log(`Stats: products ${from.size} -> ${to.size}, new=${count(x => x.change === "new")}, removed=${count(x => x.change === "removed")}`);
+  console.log(`TypeTransitions: ${JSON.stringify(transitions)}`);
+  console.log(`PriceMoves: up=${priceRows.filter(x => x.delta_pct > 0).length}, down=${priceRows.filter(x => x.delta_pct < 0).length}, asLowAs=${count(x => x.change === "as_low_as")}, tags=${count(x => x.change === "tags")}, status=${count(x => x.change === "status")}`);
+  console.log(`Oscillating (type changed > ${opts.maxFlips}x in last ${windowIds.length} runs): ${oscillating.length}`);
+  console.log(`✅ Wrote: ${diffPath}`);
+  console.log(`✅ Wrote: ${oscPath}`);
+}
 
-  if (pending) throw new Error("FAIL-FAST: CSV endet mitten in einem gequoteten Feld (unbalanced quotes).");
+async function simulateCommand(argv) {
+  const opts = parseSimulateOptions(argv);
+  if (!opts) {
+    console.log(SIMULATE_USAGE);
+    return;
+  }
 
-  console.log(`2) Parsed products: ${products.size}`);
+  const inputPath = findInput(opts.input);
+  console.log("✅ Using input:", inputPath);
 
-  const previewFull = [];
-  const previewOnly = [];
+  const profileFile = opts.profileFile ?? DEFAULT_PROFILE_FILE;
+  const scenarios = opts.profiles.map(name => loadPricingProfile(profileFile, name));
+  const baseline = scenarios[0];
+  for (const x of opts.inline) scenarios.push(overrideProfile(baseline, x.name, x.overrides));
+  for (const x of scenarios) {
+    console.log(`✅ Scenario "${x.name}": hash=${x.hash}${x.overrides ? ` (${baseline.name} + ${x.overrides.map(o => `${o.key}=${o.value}`).join(", ")})` : ""}`);
+  }
 
-  const importOnlyChangesRows = [];
-  const importFullRows = [];
+  const tagRules = loadTagRules(opts.tagRules ?? DEFAULT_TAG_RULES_FILE);
+  const vat = opts.vat ? loadVatModel(opts.vat) : null;
+  if (vat) console.log(`✅ VAT model: hash=${vat.hash} (${vat.file})`);
+  const stockDates = opts.stockDates ? await loadStockDates(opts.stockDates) : null;
+  if (stockDates) console.log(`✅ Stock dates: ${stockDates.byProduct.size} products, ${stockDates.byVariant.size} variants (${stockDates.file})`);
+  const { products, metafieldColName, variantMetafieldColName } = await readProducts(inputPath, { tagSeparator: tagRules.separator });
+  console.log(`2) Parsed products: ${products.size}`);
 
-  const changeItems = [];
+  const perVariant = opts.mode === "per-variant";
+  const ctxFor = (profile) => ({
+    profile,
+    tagRules,
+    pricingMode: opts.mode,
+    perVariant,
+    mfCol: metafieldColName ?? DEFAULT_MF_COL,
+    variantMfCol: perVariant ? (variantMetafieldColName ?? DEFAULT_VARIANT_MF_COL) : null,
+    vat,
+    stockDates,
+  });
 
-  let drafted = 0;
-  let cnfdntIgnored = 0;
-  const byType = { used: 0, standard: 0, "low-margin": 0, skip: 0 };
+  const summaries = [];
+  const transitions = [];
+  const movers = [];
+  let baselineOutcome = null;
+  for (const profile of scenarios) {
+    const outcome = simulateScenario(products, ctxFor(profile));
+    const cmp = compareScenario(profile.name, profile, outcome, baselineOutcome, { top: opts.top });
+    baselineOutcome ??= outcome;
+    summaries.push(cmp.summary);
+    transitions.push(...cmp.transitions);
+    movers.push(...cmp.movers);
+    const s = cmp.summary;
+    console.log(`${s.scenario} (vs ${s.compared_to}): used=${s.type_used} standard=${s.type_standard} low-margin=${s["type_low-margin"]} typeChanges=${s.type_changes} priceChanged=${s.price_changed} median=${s.price_change_median} total=${s.price_change_total}`);
+  }
 
-  const importHeaders = [
-    "ID",
-    "Command",
-    "Tags",
-    "Tags Command",
-    "Status",
-    "Variant ID",
-    "Variant Command",
-    "Variant Price",
-    (metafieldColName ?? "Metafield: spotted.as_low_as [number_decimal]"),
+  fs.mkdirSync(opts.outDir, { recursive: true });
+  const files = [
+    ["simulate.summary.csv", summaries],
+    ["simulate.transitions.csv", transitions, ["scenario", "from", "to", "products", "pricing_profile", "pricing_profile_hash"]],
+    ["simulate.top-movers.csv", movers, [
+      "scenario", "productId", "handle", "type_before", "type", "price_before", "price", "delta", "delta_pct",
+      "pricing_profile", "pricing_profile_hash",
+    ]],
   ];
+  for (const [name, rows, headers] of files) {
+    const filePath = path.join(opts.outDir, name);
+    await writeCsv(filePath, headers ?? Object.keys(rows[0] || {}), rows);
+    console.log(`✅ Wrote: ${filePath}`);
+  }
+}
 
-  for (const p of products.values()) {
-    const base = p.variants.reduce((best, v) => (!best || v.pos < best.pos) ? v : best, null);
-
-    // CNFDNT => ignore completely (no output rows)
-    if (hasCnfdnt(p.tagsArr)) {
-      cnfdntIgnored++;
-      byType.skip++;
-
-      previewFull.push({
-        productId: p.productId,
-        title: p.title,
-        handle: p.handle,
-        status_current: p.status,
-        doDraft: false,
-        type: "skip",
-        msrp_gross: base?.compareAt ?? "",
-        M_used: "",
-        C_used: base?.cost ?? "",
-        price_old: base?.price ?? "",
-        price_new: "",
-        as_low_as_old: p.asLowAsCurrent ?? "",
-        as_low_as_new: "",
-        tags_to_add: "",
-        tags_to_remove: "",
-        doTags: false,
-        doPrice: false,
-        doMetafield: false,
-        needsChange: false,
-      });
-
-      continue;
-    }
-
-    const msrpGross = base?.compareAt ?? 0; // MSRP (as provided)
-    const M = msrpGross > 0 ? msrpGross : 0;
-    const C = (base?.cost ?? 0);
-
-    const missingMC = !(M > 0 && C > 0);
-    const doDraft = missingMC && String(p.status || "").toLowerCase() !== "draft";
-    if (doDraft) drafted++;
-
-    const desiredType = missingMC ? "skip" : determineTypeArigato(M, C, p.tagsArr);
-    byType[desiredType] = (byType[desiredType] || 0) + 1;
-
-    const pricing = (!missingMC && TYPE_TAGS.includes(desiredType))
-      ? computePricing(M, C, desiredType)
-      : { ok: false };
-
-    const desiredPriceNew = pricing.ok ? pricing.price_new : null;
-    const desiredAsLowAs =
-      (pricing.ok && desiredType === "standard" && pricing.as_low_as > 0)
-        ? pricing.as_low_as
-        : null;
-
-    const tagDiff = (!missingMC && TYPE_TAGS.includes(desiredType))
-      ? computeTagDiff(p.tagsArr, desiredType)
-      : { desiredTagsArr: p.tagsArr, tags_to_add: [], tags_to_remove: [], doTags: false };
-
-    // ONLY-CHANGES: variants needing price change
-    const variantsToUpdate = [];
-    if (!missingMC && desiredPriceNew != null) {
-      for (const v of p.variants) {
-        if (v.variantId && !approxEqualMoney(v.price, desiredPriceNew)) variantsToUpdate.push(v.variantId);
-      }
-    }
-    const doPrice = variantsToUpdate.length > 0;
-
-    // Metafield diff (for preview)
-    const currentMf = toNumberOrNull(p.asLowAsCurrent);
-    const doMetafield =
-      !missingMC &&
-      desiredType === "standard" &&
-      desiredAsLowAs != null &&
-      !(currentMf != null && approxEqualMoney(currentMf, desiredAsLowAs));
-
-    const needsChange = doDraft || tagDiff.doTags || doPrice || doMetafield;
-
-    const rowPrev = {
-      productId: p.productId,
-      title: p.title,
-      handle: p.handle,
-      status_current: p.status,
-      doDraft,
-      type: desiredType,
-      msrp_gross: msrpGross ? round2(msrpGross) : "",
-      M_used: M ? round2(M) : "",
-      C_used: C ? round2(C) : "",
-      price_old: base?.price ?? "",
-      price_new: desiredPriceNew ?? "",
-      as_low_as_old: p.asLowAsCurrent ?? "",
-      as_low_as_new: desiredAsLowAs ?? "",
-      tags_to_add: tagDiff.tags_to_add.join("|"),
-      tags_to_remove: tagDiff.tags_to_remove.join("|"),
-      doTags: tagDiff.doTags,
-      doPrice,
-      doMetafield,
-      needsChange,
-    };
-
-    previewFull.push(rowPrev);
-    if (needsChange) previewOnly.push(rowPrev);
-
-    // ---------- FULL IMPORT ----------
-    const fullDoTags = (!missingMC && TYPE_TAGS.includes(desiredType));
-    const fullTagsCellOut = fullDoTags ? tagDiff.desiredTagsArr.join(", ") : "";
-    const fullTagsCmdOut = fullDoTags ? "REPLACE" : "";
-
-    const fullMfCell =
-      (!missingMC && desiredType === "standard" && desiredAsLowAs != null)
-        ? String(desiredAsLowAs) // standard => ALWAYS set
-        : (p.asLowAsCurrent ? String(p.asLowAsCurrent) : ""); // otherwise preserve
-
-    const fullDoPrice = (!missingMC && TYPE_TAGS.includes(desiredType) && pricing.ok && desiredPriceNew != null);
-
-    const primaryVariantId = base?.variantId || (p.variants[0]?.variantId ?? "");
-    const fullPrimaryHasPriceUpdate = fullDoPrice && !!primaryVariantId;
-
-    const fullPrimaryVariantIdOut = fullPrimaryHasPriceUpdate ? primaryVariantId : "";
-    const fullPrimaryVariantCmdOut = fullPrimaryHasPriceUpdate ? "UPDATE" : "";
-    const fullPrimaryVariantPriceOut = fullPrimaryHasPriceUpdate ? String(desiredPriceNew) : "";
-
-    // FAIL-FAST: if Variant ID is set, price must be set
-    if (fullPrimaryVariantIdOut && !fullPrimaryVariantPriceOut) {
-      throw new Error(`FAIL-FAST: FULL: Variant ID gesetzt, aber Variant Price leer. Product ID=${p.productId}`);
-    }
-
-    importFullRows.push({
-      "ID": p.productId,
-      "Command": "UPDATE",
-      "Tags": fullTagsCellOut,
-      "Tags Command": fullTagsCmdOut,
-      "Status": doDraft ? "Draft" : "",
-      "Variant ID": fullPrimaryVariantIdOut,
-      "Variant Command": fullPrimaryVariantCmdOut,
-      "Variant Price": fullPrimaryVariantPriceOut,
-      [importHeaders[8]]: fullMfCell,
-    });
-
-    if (fullDoPrice) {
-      for (const v of p.variants) {
-        const vid = v.variantId;
-        if (!vid || vid === primaryVariantId) continue;
-
-        importFullRows.push({
-          "ID": p.productId,
-          "Command": "UPDATE",
-          "Tags": "",
-          "Tags Command": "",
-          "Status": "",
-          "Variant ID": vid,
-          "Variant Command": "UPDATE",
-          "Variant Price": String(desiredPriceNew),
-          [importHeaders[8]]: fullMfCell,
-        });
-      }
-    }
-
-    // ---------- ONLY-CHANGES IMPORT ----------
-    if (!needsChange) continue;
-
-    changeItems.push({
-      productId: p.productId,
-      type: desiredType,
-      doDraft,
-      doTags: tagDiff.doTags,
-      desiredTagsArr: tagDiff.desiredTagsArr,
-      doPrice,
-      desiredPriceNew,
-      variantsToUpdate,
-      doMetafield,
-      desiredAsLowAs,
-      currentAsLowAs: p.asLowAsCurrent ?? "",
-    });
-
-    const mfCell =
-      (!missingMC && desiredType === "standard" && desiredAsLowAs != null)
-        ? String(desiredAsLowAs) // standard => ALWAYS set
-        : (p.asLowAsCurrent ? String(p.asLowAsCurrent) : "");
-
-    const tagsCellOut = tagDiff.doTags ? tagDiff.desiredTagsArr.join(", ") : "";
-    const tagsCmdOut = tagDiff.doTags ? "REPLACE" : "";
-
-    // STRUCTURE FIX: only write Variant ID if we also write price+command
-    const primaryHasPriceUpdate =
-      doPrice && primaryVariantId && variantsToUpdate.includes(primaryVariantId);
+// Violations printed to the console; the report has all of them
+const VERIFY_PRINT_LIMIT = 50;
 
-    const primaryVariantIdOut = primaryHasPriceUpdate ? primaryVariantId : "";
-    const primaryVariantCmdOut = primaryHasPriceUpdate ? "UPDATE" : "";
-    const primaryVariantPriceOut = primaryHasPriceUpdate ? String(desiredPriceNew) : "";
+async function verifyCommand(argv) {
+  const opts = parseVerifyOptions(argv);
+  if (!opts) {
+    console.log(VERIFY_USAGE);
+    return;
+  }
 
-    if (primaryVariantIdOut && !primaryVariantPriceOut) {
-      throw new Error(`FAIL-FAST: ONLY-CHANGES: Variant ID gesetzt, aber Variant Price leer. Product ID=${p.productId}`);
-    }
+  const inputPath = findInput(opts.input);
+  console.log("✅ Using input:", inputPath);
+  const tagRules = loadTagRules(opts.tagRules ?? DEFAULT_TAG_RULES_FILE);
+  const exp = await readProducts(inputPath, { tagSeparator: tagRules.separator });
+
+  const files = opts.files.length ? opts.files : listImportFiles(opts.dir);
+  if (!files.length) throw new CliError(`Keine matrixify.import.*-Dateien in ${opts.dir}`, VERIFY_USAGE);
+
+  const violations = [];
+  for (const filePath of files) {
+    if (!fs.existsSync(filePath)) throw new CliError(`Import-Datei nicht gefunden: ${filePath}`, VERIFY_USAGE);
+    const found = await verifyImportFile(filePath, exp, tagRules);
+    console.log(`${found.length ? "❌" : "✅"} ${filePath}: ${found.length} violations`);
+    violations.push(...found);
+  }
 
-    importOnlyChangesRows.push({
-      "ID": p.productId,
-      "Command": "UPDATE",
-      "Tags": tagsCellOut,
-      "Tags Command": tagsCmdOut,
-      "Status": doDraft ? "Draft" : "",
-      "Variant ID": primaryVariantIdOut,
-      "Variant Command": primaryVariantCmdOut,
-      "Variant Price": primaryVariantPriceOut,
-      [importHeaders[8]]: mfCell,
-    });
+  fs.mkdirSync(opts.dir, { recursive: true });
+  const reportPath = path.join(opts.dir, "verify.report.csv");
+  await writeCsv(reportPath, VERIFY_REPORT_HEADERS, violations);
 
-    if (doPrice) {
-      for (const vid of variantsToUpdate) {
-        if (!vid || vid === primaryVariantId) continue;
-        importOnlyChangesRows.push({
-          "ID": p.productId,
-          "Command": "UPDATE",
-          "Tags": "",
-          "Tags Command": "",
-          "Status": "",
-          "Variant ID": vid,
-          "Variant Command": "UPDATE",
-          "Variant Price": String(desiredPriceNew),
-          [importHeaders[8]]: mfCell,
-        });
-      }
-    }
+  const byCheck = Object.fromEntries(VERIFY_CHECKS.map(c => [c, 0]));
+  for (const x of violations) byCheck[x.check]++;
+  for (const x of violations.slice(0, VERIFY_PRINT_LIMIT)) {
+    const at = [x.productId, x.variantId].filter(Boolean).join("/") || "header";
+    console.error(`❌ ${x.file}:${x.line} [${x.check}] ${at} ${x.column}=${JSON.stringify(x.value)}: ${x.message}`);
   }
+  if (violations.length > VERIFY_PRINT_LIMIT) console.error(`… ${violations.length - VERIFY_PRINT_LIMIT} more in ${reportPath}`);
 
-  // --- Write previews ---
-  const prevFullPath = path.join(OUT_DIR, "preview.full.csv");
-  const prevOnlyPath = path.join(OUT_DIR, "preview.only-changes.csv");
-  const prevHeaders = Object.keys(previewFull[0] || {});
-  writeCsv(prevFullPath, prevHeaders, previewFull);
-  writeCsv(prevOnlyPath, prevHeaders, previewOnly);
-
-  // --- Write Matrixify import files ---
-  const importOnlyPath = path.join(OUT_DIR, "matrixify.import.only-changes.csv");
-  const importFullPath = path.join(OUT_DIR, "matrixify.import.full.csv");
-  writeCsv(importOnlyPath, importHeaders, importOnlyChangesRows);
-  writeCsv(importFullPath, importHeaders, importFullRows);
-
-  // --- Test-20 from only-changes ---
-  const pick = (arr, n) => arr.slice(0, n);
-  const used = changeItems.filter(x => x.type === "used");
-  const std = changeItems.filter(x => x.type === "standard");
-  const lm = changeItems.filter(x => x.type === "low-margin");
-
-  const picked = [...pick(std, 8), ...pick(lm, 6), ...pick(used, 6)].slice(0, 20);
-  const pickedIds = new Set(picked.map(x => x.productId));
-  const testRows = importOnlyChangesRows.filter(r => pickedIds.has(r["ID"]));
+  console.log(`Stats: files=${files.length}, violations=${violations.length}`);
+  console.log(`ByCheck: ${JSON.stringify(byCheck)}`);
+  console.log(`✅ Wrote: ${reportPath}`);
+  if (violations.length) process.exitCode = 1;
+}
 
-  const testPath = path.join(OUT_DIR, "matrixify.import.test-20.csv");
-  writeCsv(testPath, importHeaders, testRows);
+const COMMANDS = {
+  run: runCommand,
+  apply: applyCommand,
+  reconcile: reconcileCommand,
+  explain: explainCommand,
+  diff: diffCommand,
+  simulate: simulateCommand,
+  verify: verifyCommand,
+};
 
-  console.log(`Stats: totalProducts=${products.size}`);
-  console.log(`onlyChangesRows=${importOnlyChangesRows.length}, fullRows=${importFullRows.length}`);
-  console.log(`drafted=${drafted}, cnfdntIgnored=${cnfdntIgnored}`);
-  console.log(`ByType: ${JSON.stringify(byType)}`);
-  console.log(`✅ Wrote: ${prevFullPath}`);
-  console.log(`✅ Wrote: ${prevOnlyPath}`);
-  console.log(`✅ Wrote: ${importOnlyPath}`);
-  console.log(`✅ Wrote: ${importFullPath}`);
-  console.log(`✅ Wrote: ${testPath}`);
+async function main() {
+  const [first, ...rest] = process.argv.slice(2);
+  if (Object.hasOwn(COMMANDS, first ?? "")) return COMMANDS[first](rest);
+  return runCommand(process.argv.slice(2));
 }
 
 main().catch(err => {
+  if (err instanceof CliError) {
+    console.error(`❌ ${err.message}\n\n${err.usage}`);
+    process.exit(2);
+  }
   console.error(err);
   process.exit(1);
 });
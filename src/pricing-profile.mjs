@@ -0,0 +1,255 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+
+export const DEFAULT_PROFILE_FILE = fileURLToPath(new URL("../config/pricing-profiles.json", import.meta.url));
+export const DEFAULT_PROFILE_NAME = "default";
+
+// ---------- Schema ----------
+// Every section/key is required once "extends" is resolved; unknown keys are rejected
+// so a typo in the profile file fails the run instead of silently falling back.
+const SCHEMA = {
+  classification: {
+    d_max: { min: 0, maxExcl: 1 },
+    ship_cost: { min: 0 },
+    cust_ship: { min: 0 },
+    aff_rate: { min: 0, maxExcl: 1 },
+    other_rate: { min: 0, maxExcl: 1 },
+  },
+  used: {
+    alpha: {}, beta: {}, gamma: {},
+    N: { min: 0 }, K0: {}, k: { minExcl: 0 },
+  },
+  lowMargin: {
+    alpha: {}, beta: {}, gamma: {},
+    N: { min: 0 }, K0: {}, k: { minExcl: 0 },
+  },
+  standard: {
+    d_max: { min: 0, maxExcl: 1 },
+    mu0: { minExcl: -1 },
+    beta_disc: {},
+    gamma_M: {},
+    rho: { min: 0, max: 1 },
+    d_ref: { min: 0, maxExcl: 1 },
+    M_ref: { minExcl: 0 },
+  },
+  // null disables a rule
+  guardrails: {
+    max_change_pct: { minExcl: 0, nullable: true },
+    min_cost_ratio: { min: 0, nullable: true },
+    min_as_low_as_margin: { nullable: true },
+    max_msrp_ratio: { minExcl: 0, nullable: true },
+  },
+};
+
+// Optional section: price endings per type (section names as above), applied in computePricing.
+// "rounding": { "standard": { "price": { "step": 1, "ending": 0.95, "direction": "nearest" },
+//                             "asLowAs": { "step": 1, "ending": 0.9, "direction": "down" } } }
+// null (or a missing type / key) keeps plain cent rounding.
+const ROUNDING_KEYS = { used: ["price"], lowMargin: ["price"], standard: ["price", "asLowAs"] };
+export const ROUNDING_DIRECTIONS = ["up", "down", "nearest"];
+
+// Optional section: markdown schedule by stock age, applied in computePricing (see markdown.mjs).
+// "markdown": { "buckets": [{ "name": "aged", "minDays": 180, "pct": 0.1, "minInventory": 1 }, ...] }
+// Buckets from young to old (minDays ascending); null disables an inherited schedule.
+const MARKDOWN_BUCKET_KEYS = ["name", "minDays", "pct", "minInventory"];
+
+function isPlainObject(x) {
+  return x != null && typeof x === "object" && !Array.isArray(x);
+}
+
+function checkNumber(where, v, rule) {
+  if (v === null && rule.nullable) return null;
+  if (typeof v !== "number" || !Number.isFinite(v)) return `${where}: muss eine Zahl sein (ist ${JSON.stringify(v)})`;
+  if (rule.min != null && v < rule.min) return `${where}: muss >= ${rule.min} sein (ist ${v})`;
+  if (rule.minExcl != null && v <= rule.minExcl) return `${where}: muss > ${rule.minExcl} sein (ist ${v})`;
+  if (rule.max != null && v > rule.max) return `${where}: muss <= ${rule.max} sein (ist ${v})`;
+  if (rule.maxExcl != null && v >= rule.maxExcl) return `${where}: muss < ${rule.maxExcl} sein (ist ${v})`;
+  return null;
+}
+
+// One strategy { step, ending, direction } or null; also used for the market rounding (markets.mjs)
+export function validateRoundingStrategy(where, s, errors) {
+  if (s === null) return;
+  if (!isPlainObject(s)) {
+    errors.push(`${where}: muss { step, ending, direction } oder null sein`);
+    return;
+  }
+  for (const k of Object.keys(s)) {
+    if (!["step", "ending", "direction"].includes(k)) errors.push(`${where}: unbekannter Parameter "${k}"`);
+  }
+  const stepErr = checkNumber(`${where}.step`, s.step, { minExcl: 0 });
+  if (stepErr) errors.push(stepErr);
+  const endingErr = checkNumber(`${where}.ending`, s.ending, { min: 0, ...(stepErr ? {} : { maxExcl: s.step }) });
+  if (endingErr) errors.push(endingErr);
+  if (!ROUNDING_DIRECTIONS.includes(s.direction)) {
+    errors.push(`${where}.direction: muss ${ROUNDING_DIRECTIONS.join(" | ")} sein (ist ${JSON.stringify(s.direction)})`);
+  }
+}
+
+function validateRounding(name, rounding, errors) {
+  if (!isPlainObject(rounding)) return errors.push(`Profil "${name}": Abschnitt "rounding" muss ein Objekt sein`);
+  for (const [type, keys] of Object.entries(rounding)) {
+    if (!(type in ROUNDING_KEYS)) {
+      errors.push(`Profil "${name}": rounding: unbekannter Typ "${type}"`);
+      continue;
+    }
+    if (keys === null) continue;
+    if (!isPlainObject(keys)) {
+      errors.push(`Profil "${name}": rounding.${type} muss ein Objekt sein`);
+      continue;
+    }
+    for (const [key, s] of Object.entries(keys)) {
+      const where = `Profil "${name}": rounding.${type}.${key}`;
+      if (!ROUNDING_KEYS[type].includes(key)) {
+        errors.push(`${where}: unbekannt (erlaubt: ${ROUNDING_KEYS[type].join(", ")})`);
+        continue;
+      }
+      validateRoundingStrategy(where, s, errors);
+    }
+  }
+}
+
+function validateMarkdown(name, markdown, errors) {
+  if (markdown === null) return;
+  const where = `Profil "${name}": markdown`;
+  if (!isPlainObject(markdown)) return errors.push(`${where}: muss ein Objekt oder null sein`);
+  for (const key of Object.keys(markdown)) {
+    if (key !== "buckets") errors.push(`${where}: unbekannter Schlüssel "${key}"`);
+  }
+  if (!Array.isArray(markdown.buckets) || !markdown.buckets.length) {
+    return errors.push(`${where}.buckets: muss eine nicht-leere Liste sein`);
+  }
+  markdown.buckets.forEach((b, i) => {
+    const at = `${where}.buckets[${i}]`;
+    if (!isPlainObject(b)) return errors.push(`${at}: muss ein Objekt sein`);
+    for (const key of Object.keys(b)) {
+      if (!MARKDOWN_BUCKET_KEYS.includes(key)) errors.push(`${at}: unbekannter Schlüssel "${key}"`);
+    }
+    if ("name" in b && (typeof b.name !== "string" || !b.name.trim())) errors.push(`${at}.name: muss ein nicht-leerer String sein`);
+    for (const err of [
+      checkNumber(`${at}.minDays`, b.minDays, { min: 0 }),
+      checkNumber(`${at}.pct`, b.pct, { minExcl: 0, maxExcl: 1 }),
+      "minInventory" in b ? checkNumber(`${at}.minInventory`, b.minInventory, { min: 0 }) : null,
+    ]) if (err) errors.push(err);
+    const prev = markdown.buckets[i - 1];
+    if (prev && typeof prev.minDays === "number" && b.minDays < prev.minDays) {
+      errors.push(`${at}.minDays: Buckets nach minDays aufsteigend sortieren (${b.minDays} < ${prev.minDays})`);
+    }
+  });
+}
+
+export function validateProfileParams(name, params) {
+  const errors = [];
+  if (!isPlainObject(params)) return [`Profil "${name}": muss ein Objekt sein`];
+
+  for (const key of Object.keys(params)) {
+    if (!(key in SCHEMA) && key !== "rounding" && key !== "markdown") errors.push(`Profil "${name}": unbekannter Abschnitt "${key}"`);
+  }
+  if ("rounding" in params) validateRounding(name, params.rounding, errors);
+  if ("markdown" in params) validateMarkdown(name, params.markdown, errors);
+
+  for (const [section, keys] of Object.entries(SCHEMA)) {
+    const sec = params[section];
+    if (!isPlainObject(sec)) {
+      errors.push(`Profil "${name}": Abschnitt "${section}" fehlt`);
+      continue;
+    }
+    for (const key of Object.keys(sec)) {
+      if (!(key in keys)) errors.push(`Profil "${name}": unbekannter Parameter "${section}.${key}"`);
+    }
+    for (const [key, rule] of Object.entries(keys)) {
+      const err = checkNumber(`Profil "${name}": ${section}.${key}`, sec[key], rule);
+      if (err) errors.push(err);
+    }
+  }
+
+  return errors;
+}
+
+// ---------- Resolve ----------
+function mergeSections(base, over) {
+  const out = {};
+  for (const key of new Set([...Object.keys(base), ...Object.keys(over)])) {
+    if (key === "extends") continue;
+    out[key] = (isPlainObject(base[key]) && isPlainObject(over[key]))
+      ? { ...base[key], ...over[key] }
+      : (key in over ? over[key] : base[key]);
+  }
+  return out;
+}
+
+function resolveProfile(profiles, name, seen = []) {
+  if (seen.includes(name)) {
+    throw new Error(`Pricing-Profil: zyklisches "extends": ${[...seen, name].join(" -> ")}`);
+  }
+  const raw = profiles[name];
+  if (!isPlainObject(raw)) {
+    throw new Error(
+      `Pricing-Profil "${name}" nicht gefunden. Verfügbar: ${Object.keys(profiles).join(", ")}`
+    );
+  }
+  if (raw.extends == null) return mergeSections({}, raw);
+  return mergeSections(resolveProfile(profiles, raw.extends, [...seen, name]), raw);
+}
+
+// Stable JSON (sorted keys) so the hash only depends on the parameter values.
+function canonicalJson(x) {
+  if (Array.isArray(x)) return `[${x.map(canonicalJson).join(",")}]`;
+  if (isPlainObject(x)) {
+    return `{${Object.keys(x).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(x[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(x);
+}
+
+export function hashProfileParams(params) {
+  return crypto.createHash("sha256").update(canonicalJson(params)).digest("hex").slice(0, 12);
+}
+
+/**
+ * Loads a named pricing profile from a JSON profile file.
+ * Returns { name, hash, file, params } — params holds the resolved sections
+ * (classification, used, lowMargin, standard, guardrails, optional rounding, markdown).
+ */
+export function loadPricingProfile(filePath = DEFAULT_PROFILE_FILE, name = DEFAULT_PROFILE_NAME) {
+  const abs = path.resolve(filePath);
+  if (!fs.existsSync(abs)) throw new Error(`Pricing-Profil-Datei nicht gefunden: ${abs}`);
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(abs, "utf8"));
+  } catch (err) {
+    throw new Error(`Pricing-Profil-Datei ist kein gültiges JSON: ${abs}\n${err.message}`);
+  }
+
+  if (!isPlainObject(doc) || doc.version !== 1 || !isPlainObject(doc.profiles)) {
+    throw new Error(`Pricing-Profil-Datei ungültig (erwartet { "version": 1, "profiles": { ... } }): ${abs}`);
+  }
+
+  const params = resolveProfile(doc.profiles, name);
+  const errors = validateProfileParams(name, params);
+  if (errors.length) {
+    throw new Error(`Pricing-Profil ungültig (${abs}):\n- ${errors.join("\n- ")}`);
+  }
+
+  return { name, hash: hashProfileParams(params), file: abs, params };
+}
+
+/**
+ * Derives a profile from `base` with single parameters replaced, e.g. for simulate --set.
+ * overrides: [{ key: "classification.aff_rate", value: 0.15 }] (value null = disable guardrail)
+ */
+export function overrideProfile(base, name, overrides) {
+  const params = JSON.parse(JSON.stringify(base.params));
+  for (const { key, value } of overrides) {
+    const [section, param, ...rest] = key.split(".");
+    if (!SCHEMA[section] || !isPlainObject(params[section]) || !param || rest.length || !(param in SCHEMA[section])) {
+      throw new Error(`Szenario "${name}": unbekannter Parameter "${key}"`);
+    }
+    params[section][param] = value;
+  }
+  const errors = validateProfileParams(name, params);
+  if (errors.length) throw new Error(`Szenario ungültig:\n- ${errors.join("\n- ")}`);
+  return { name, hash: hashProfileParams(params), file: base.file, params, extends: base.name, overrides };
+}
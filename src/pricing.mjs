@@ -0,0 +1,322 @@
+import { normTag } from "./products.mjs";
+
+// Optional `trace` arguments: plain objects that receive every intermediate value
+// (explain and the decision journal; without them the run passes nothing).
+
+// ---------- VAT ----------
+// vat: { rate, scheme } of the product from the VAT model (vat.mjs); null = amounts as they are.
+// Net selling price and cost of gross P and C:
+// standard: both contain the rate; margin scheme: VAT only on the margin, cost unchanged.
+export function netAmounts(P, C, vat) {
+  if (!vat) return { P_net: P, C_net: C };
+  const k = 1 / (1 + vat.rate);
+  if (vat.scheme === "margin") return { P_net: P - Math.max(0, P - C) * (1 - k), C_net: C };
+  return { P_net: P * k, C_net: C * k };
+}
+
+// ---------- Arigato logic ----------
+// Estimated margin G when selling at P (shipping, affiliate and other fees on the gross amount;
+// with a VAT model P and C count net).
+export function estimateMargin(P, C, fees, vat = null) {
+  const affiliate_fee = P * fees.aff_rate;
+
+  const gross_with_ship = P + fees.cust_ship;
+  const other_fee = gross_with_ship * fees.other_rate; // ✅ NO VAT
+
+  const { P_net, C_net } = netAmounts(P, C, vat);
+  const G = P_net - C_net - fees.ship_cost - affiliate_fee - other_fee;
+  return { affiliate_fee, other_fee, P_net, C_net, G };
+}
+
+// Price at which G = 0 (same fee model as estimateMargin). One formula for both VAT schemes:
+// above C, P_net - C_net = (P - C) / (1 + rate) in either.
+export function breakEvenPrice(C, fees, vat = null) {
+  const k = vat ? 1 / (1 + vat.rate) : 1;
+  return (C * k + fees.ship_cost + fees.cust_ship * fees.other_rate) / (k - fees.aff_rate - fees.other_rate);
+}
+
+// Margin of one variant plan at its new price and at its as-low-as (null when not priced).
+export function planMargins(plan, fees, vat = null) {
+  const at = (P) => (P != null && plan.C > 0 ? estimateMargin(P, plan.C, fees, vat).G : null);
+  return {
+    G_price_new: at(plan.priceNew),
+    G_as_low_as: at(plan.asLowAs),
+    breakEven: plan.C > 0 ? breakEvenPrice(plan.C, fees, vat) : null,
+  };
+}
+
+/**
+ * Classification on the margin at the maximum discount.
+ * Uses your same fee logic; without a VAT model M and C count as they are (no VAT),
+ * with one (vat: { rate, scheme }) on net amounts.
+ * Fee parameters come from the pricing profile ("classification" section).
+ * forced: { type, tags } from a force rule of the tag rules (see forcedTypeOf), or null.
+ */
+export function determineTypeArigato(M, C, forced, profile, vat = null, trace = null) {
+  if (!(M > 0) || !(C > 0)) return "skip";
+  if (forced) {
+    if (trace) trace.forced = forced;
+    return forced.type;
+  }
+
+  const P_sale_max = M * (1 - profile.classification.d_max);
+  const { affiliate_fee, other_fee, P_net, C_net, G } = estimateMargin(P_sale_max, C, profile.classification, vat);
+  if (trace) {
+    Object.assign(trace, {
+      forced: null,
+      P_sale_max,
+      ...(vat ? { vat_rate: vat.rate, vat_scheme: vat.scheme, P_sale_max_net: P_net, C_net } : {}),
+      affiliate_fee,
+      other_fee,
+      G,
+    });
+  }
+  return (G >= 0) ? "standard" : "low-margin";
+}
+
+export function clamp(x, a, b) { return Math.max(a, Math.min(b, x)); }
+export function round2(x) { return Math.round(x * 100) / 100; }
+
+// ---------- Rounding (price endings) ----------
+// Candidates are k * step + ending, e.g. step 1 / ending 0.95 -> 186.95, step 10 / ending 9 -> 189.
+function roundTo(x, { step, ending }, direction) {
+  const k = (x - ending) / step;
+  const kr = direction === "up" ? Math.ceil(k - 1e-9) : direction === "down" ? Math.floor(k + 1e-9) : Math.round(k);
+  return round2(kr * step + ending);
+}
+
+/**
+ * Rounds a raw price with a strategy { step, ending, direction }. Rounding never crosses the
+ * cap (MSRP) or floor (cost floor) the raw price respects: it falls back to the nearest ending
+ * below the cap / above the floor, or to plain cents if no ending fits.
+ * Returns { value, limited } — limited: "cap" | "floor" | "none-fits" | null.
+ */
+export function roundPrice(raw, strategy, { cap = null, floor = null } = {}) {
+  if (!strategy) return { value: round2(raw), limited: null };
+  const capOk = cap != null && raw <= cap + 1e-9;
+  const floorOk = floor != null && raw >= floor - 1e-9;
+  const fits = (x) => x > 0 && !(capOk && x > cap + 1e-9) && !(floorOk && x < floor - 1e-9);
+
+  const value = roundTo(raw, strategy, strategy.direction);
+  if (fits(value)) return { value, limited: null };
+  if (capOk && value > cap) {
+    const below = roundTo(cap, strategy, "down");
+    if (fits(below)) return { value: below, limited: "cap" };
+  }
+  if (floorOk && value < floor) {
+    const above = roundTo(floor, strategy, "up");
+    if (fits(above)) return { value: above, limited: "floor" };
+  }
+  return { value: round2(raw), limited: "none-fits" };
+}
+
+// Curve of the used / low-margin types (parameters P: profile.used or profile.lowMargin)
+function marginCurve(M, C, P) {
+  const sM = 1 / (1 + Math.exp((M - P.K0) / P.k));
+  const log10_MC = Math.log10(M / C);
+  const price_raw = C * (1 + P.alpha + P.beta * log10_MC + P.gamma * sM) + P.N;
+  return { sM, log10_MC, price_raw };
+}
+
+/**
+ * Price and as-low-as of one variant. markdown: { bucket, pct } from markdownOf (markdown.mjs), or null;
+ * vat: the product's VAT (markdown floor only), or null.
+ * Returns { ok, price_new, as_low_as, price_new_raw, as_low_as_raw, markdown } — markdown:
+ * { bucket, pct, amount } with the raw price reduction actually applied, or null.
+ */
+export function computePricing(M, C, type, profile, { markdown = null, vat = null } = {}, trace = null) {
+  if (!(M > 0) || !(C > 0)) return { ok: false };
+
+  // curve parameters (from the pricing profile)
+  const U = profile.used;
+  const LM = profile.lowMargin;
+  const STD = profile.standard;
+
+  let price_new = M;
+  let as_low_as = 0;
+
+  if (type === "used" || type === "low-margin") {
+    const { sM, log10_MC, price_raw } = marginCurve(M, C, (type === "used") ? U : LM);
+    price_new = Math.min(M, price_raw);
+    as_low_as = 0;
+    if (trace) Object.assign(trace, { branch: type, sM, log10_MC, price_raw });
+  }
+
+  if (type === "standard") {
+    let d = 1 - (C / M);
+    d = clamp(d, 0, 0.99);
+
+    const L_d = Math.log10(1 / (1 - d));
+    const L_dref = Math.log10(1 / (1 - STD.d_ref));
+    const mu_d = STD.mu0 + STD.beta_disc * (L_d - L_dref);
+    const m_shape = Math.pow(M / STD.M_ref, -STD.gamma_M);
+    const A_M = (M * m_shape) / (1 - STD.d_max);
+
+    const B_d =
+      (1 - STD.rho) * (1 + mu_d) * (1 - d) +
+      STD.rho * (1 + STD.mu0) * (1 - STD.d_ref);
+
+    const P_hidden_raw = A_M * B_d;
+    const P_hidden = Math.min(M, P_hidden_raw);
+    const P_sale_min = (1 - STD.d_max) * P_hidden;
+
+    price_new = P_hidden;
+    as_low_as = P_sale_min;
+    if (trace) Object.assign(trace, { branch: type, d, L_d, L_dref, mu_d, m_shape, A_M, B_d, P_hidden_raw, P_hidden, P_sale_min });
+  }
+
+  const costFloor = profile.guardrails.min_cost_ratio != null ? C * profile.guardrails.min_cost_ratio : null;
+  let floor = costFloor;
+  let asLowAsFloor = costFloor;
+
+  // Markdown (stock-age bucket): price and as-low-as lowered by pct, never below their floors (nor raised
+  // to them): the price not below the cost floor and, for standard products, the low-margin price; the
+  // as-low-as not below the cost floor and the break-even price. Rounding keeps to the same floors.
+  let applied = null;
+  if (markdown?.pct > 0) {
+    floor = Math.max(costFloor ?? 0, type === "standard" ? Math.min(M, marginCurve(M, C, LM).price_raw) : 0);
+    // break-even rounded up to the cent, so G at the as-low-as stays >= 0
+    asLowAsFloor = Math.max(costFloor ?? 0, Math.ceil(breakEvenPrice(C, profile.classification, vat) * 100) / 100);
+    const cut = (x, min) => Math.max(x * (1 - markdown.pct), Math.min(x, min));
+    const price_before = price_new;
+    const as_low_as_before = as_low_as;
+    price_new = cut(price_new, floor);
+    if (as_low_as > 0) as_low_as = cut(as_low_as, asLowAsFloor);
+    applied = { bucket: markdown.bucket, pct: markdown.pct, amount: price_before - price_new };
+    if (trace) {
+      trace.markdown = {
+        ...markdown, priceFloor: floor, asLowAsFloor, price_before, price_after: price_new, as_low_as_before, as_low_as_after: as_low_as,
+      };
+    }
+  }
+
+  // Price endings per type (profile "rounding"); the as-low-as stays at or below the rounded price
+  const R = profile.rounding?.[type === "low-margin" ? "lowMargin" : type] ?? null;
+  const price = roundPrice(price_new, R?.price ?? null, { cap: M, floor });
+  const asLowAs = as_low_as > 0
+    ? roundPrice(as_low_as, R?.asLowAs ?? null, { cap: Math.min(M, price.value), floor: asLowAsFloor })
+    : { value: round2(as_low_as), limited: null };
+  if (trace) trace.rounding = { price: { strategy: R?.price ?? null, ...price }, asLowAs: { strategy: R?.asLowAs ?? null, ...asLowAs } };
+
+  return {
+    ok: true,
+    price_new: price.value,
+    as_low_as: asLowAs.value,
+    price_new_raw: round2(price_new),
+    as_low_as_raw: round2(as_low_as),
+    markdown: applied,
+  };
+}
+
+// Types with a pricing curve; the tags each type writes come from the tag rules (tag-rules.mjs)
+export const TYPE_TAGS = ["used", "standard", "low-margin"];
+
+// ---------- Guardrails ----------
+// Each rule can be disabled in the profile with null. Returns one entry per broken rule.
+export const GUARDRAIL_RULES = ["max-change", "cost-floor", "as-low-as-floor", "msrp-cap"];
+
+export function checkGuardrails(v, plan, profile, vat = null) {
+  const g = profile.guardrails;
+  const out = [];
+  const broke = (rule, value, limit) => out.push({ rule, variantId: v.variantId, value: round2(value), limit: round2(limit) });
+
+  if (plan.priceNew == null) return out;
+
+  if (g.max_change_pct != null && v.price > 0) {
+    const change = Math.abs(plan.priceNew / v.price - 1);
+    if (change > g.max_change_pct) broke("max-change", change * 100, g.max_change_pct * 100);
+  }
+
+  if (g.min_cost_ratio != null && plan.priceNew < plan.C * g.min_cost_ratio) {
+    broke("cost-floor", plan.priceNew, plan.C * g.min_cost_ratio);
+  }
+
+  if (g.min_as_low_as_margin != null && plan.asLowAs != null) {
+    const { G } = estimateMargin(plan.asLowAs, plan.C, profile.classification, vat);
+    if (G < g.min_as_low_as_margin) broke("as-low-as-floor", G, g.min_as_low_as_margin);
+  }
+
+  if (g.max_msrp_ratio != null) {
+    const cap = plan.M * g.max_msrp_ratio;
+    if (plan.priceNew > cap + 0.005) broke("msrp-cap", plan.priceNew, cap);
+    else if (plan.asLowAs != null && plan.asLowAs > cap + 0.005) broke("msrp-cap", plan.asLowAs, cap);
+  }
+
+  return out;
+}
+
+// ---------- Per-variant pricing ----------
+// Product-level type when variants disagree: the most restrictive type wins,
+// so a product is only tagged "standard" if every priced variant is standard.
+const TYPE_PRECEDENCE = ["used", "low-margin", "standard"];
+
+export function combineVariantTypes(types) {
+  return TYPE_PRECEDENCE.find(t => types.includes(t)) ?? "skip";
+}
+
+// Product-level as-low-as = lowest variant as-low-as, only for standard products.
+export function productAsLowAs(productType, pricedPlans) {
+  if (productType !== "standard") return null;
+  const values = pricedPlans.map(x => x.asLowAs).filter(x => x != null);
+  return values.length ? Math.min(...values) : null;
+}
+
+// Classify + price a single variant from its own compare-at (M) and cost (C).
+// vat: the product's VAT (classification only; prices stay gross), markdown: its stock-age
+// markdown (markdownOf), both optional.
+export function priceVariant(v, forced, profile, { vat = null, markdown = null } = {}, trace = null) {
+  const M = v.compareAt > 0 ? v.compareAt : 0;
+  const C = v.cost ?? 0;
+  const missingMC = !(M > 0 && C > 0);
+
+  const classification = trace ? {} : null;
+  const curve = trace ? {} : null;
+  const type = missingMC ? "skip" : determineTypeArigato(M, C, forced, profile, vat, classification);
+  const pricing = (!missingMC && TYPE_TAGS.includes(type))
+    ? computePricing(M, C, type, profile, { markdown, vat }, curve)
+    : { ok: false };
+  if (trace) Object.assign(trace, { M, C, missingMC, classification, type, pricing: curve });
+
+  return {
+    M,
+    C,
+    type,
+    priceNew: pricing.ok ? pricing.price_new : null,
+    asLowAs: (pricing.ok && type === "standard" && pricing.as_low_as > 0) ? pricing.as_low_as : null,
+    priceRaw: pricing.ok ? pricing.price_new_raw : null,
+    asLowAsRaw: (pricing.ok && type === "standard" && pricing.as_low_as > 0) ? pricing.as_low_as_raw : null,
+
+    markdown: pricing.ok ? pricing.markdown : null,
+  };
+}
+
+/**
+ * Tag changes for the desired type under the tag rules: sets the type's tags, removes the
+ * tags the rules own for other types (plus the type's aliases and "remove" tags). Merchant
+ * tags no rule names are kept in place. tags_to_add as configured, tags_to_remove lower-case.
+ */
+export function computeTagDiff(currentTagsArr, desiredType, rules) {
+  const cur = currentTagsArr || [];
+  const curLower = cur.map(normTag);
+
+  const tags_to_add = [];
+  const tags_to_remove = [];
+
+  if (!TYPE_TAGS.includes(desiredType)) {
+    return { desiredTagsArr: cur, tags_to_add, tags_to_remove, doTags: false, want: [], unwanted: [] };
+  }
+
+  const { want, unwanted } = rules.types[desiredType];
+  const wantLower = want.map(normTag);
+
+  for (const t of want) if (!curLower.includes(normTag(t))) tags_to_add.push(t);
+  for (const t of unwanted) if (curLower.includes(t)) tags_to_remove.push(t);
+
+  const doTags = tags_to_add.length > 0 || tags_to_remove.length > 0;
+
+  // Type tags go to the end in the configured spelling
+  const desiredTagsArr = cur.filter(t => !unwanted.includes(normTag(t)) && !wantLower.includes(normTag(t)));
+  desiredTagsArr.push(...want);
+
+  return { desiredTagsArr, tags_to_add, tags_to_remove, doTags, want, unwanted };
+}
@@ -0,0 +1,676 @@
+import { toNumberOrNull, approxEqualMoney, normTag } from "./products.mjs";
+import {
+  round2, TYPE_TAGS, checkGuardrails, combineVariantTypes, productAsLowAs,
+  priceVariant, computeTagDiff, planMargins,
+} from "./pricing.mjs";
+import { skipTagOf, forcedTypeOf, hasDraftTag, joinTags } from "./tag-rules.mjs";
+import { marketColumns, marketPrices } from "./markets.mjs";
+import { vatOf } from "./vat.mjs";
+import { markdownOf, productInventory } from "./markdown.mjs";
+
+export const DEFAULT_MF_COL = "Metafield: spotted.as_low_as [number_decimal]";
+export const DEFAULT_VARIANT_MF_COL = "Variant Metafield: spotted.as_low_as [number_decimal]";
+
+// Draft tag of the tag rules: added when the run drafts the product, removed once the
+// product is no longer drafted by the run (reactivated, or activated by hand)
+function withDraftTag(tagDiff, draftTag, add) {
+  const key = normTag(draftTag);
+  const has = tagDiff.desiredTagsArr.some(t => normTag(t) === key);
+  if (add === has) return tagDiff;
+  return add
+    ? {
+      ...tagDiff,
+      desiredTagsArr: [...tagDiff.desiredTagsArr, draftTag],
+      tags_to_add: [...tagDiff.tags_to_add, draftTag],
+      want: [...tagDiff.want, draftTag],
+      doTags: true,
+    }
+    : {
+      ...tagDiff,
+      desiredTagsArr: tagDiff.desiredTagsArr.filter(t => normTag(t) !== key),
+      tags_to_remove: [...tagDiff.tags_to_remove, key],
+      unwanted: [...tagDiff.unwanted, key],
+      doTags: true,
+    };
+}
+
+export function importHeadersFor(mfCol, variantMfCol, markets = []) {
+  return [
+    "ID",
+    "Command",
+    "Tags",
+    "Tags Command",
+    "Status",
+    "Variant ID",
+    "Variant Command",
+    "Variant Price",
+    mfCol,
+    ...(variantMfCol ? [variantMfCol] : []),
+    ...marketColumns(markets),
+    // Traceability only; Matrixify ignores columns it doesn't know.
+    "Pricing Profile",
+    "Pricing Profile Hash",
+  ];
+}
+
+/**
+ * Plans one product: classification, prices, tags, guardrails and every import row it produces.
+ * ctx: { profile, tagRules, pricingMode, perVariant, mfCol, variantMfCol, markets, vat, stockDates, today }
+ * (markets: optional, loadMarkets().markets; vat: optional, loadVatModel(); stockDates: optional,
+ * loadStockDates(); today: reference date of the markdown stock age, default now)
+ * Returns { cnfdnt, type, doDraft, doReactivate, needsChange, preview, previewVariants, quarantineRules,
+ * quarantineRows, fullRows, change, onlyChangesRows, rollbackRows, rollbackVariantsWithoutPrice }.
+ * cnfdnt: the skip tag of the tag rules that matched (CNFDNT by default), or false.
+ * change is the change item (null when nothing changes or the product is quarantined).
+ * trace (optional, for explain) receives every intermediate step.
+ */
+export function planProduct(p, ctx, trace = null) {
+  const {
+    profile, tagRules, pricingMode, perVariant, mfCol, variantMfCol, markets = [], vat: vatModel = null,
+    stockDates = null, today = new Date(),
+  } = ctx;
+  const schedule = profile.params.markdown ?? null;
+  const profileCols = { "Pricing Profile": profile.name, "Pricing Profile Hash": profile.hash };
+  const variantMfCells = (cell) => (variantMfCol ? { [variantMfCol]: cell } : {});
+  // Preview columns per market (none without markets); fn(market) -> [[column, value], ...]
+  const marketPreview = (fn) => Object.fromEntries(markets.flatMap(fn));
+  const marketFlags = (doMarketPrice, doMarketMetafield) => (markets.length ? { doMarketPrice, doMarketMetafield } : {});
+  // Preview columns of the VAT model (none without one)
+  const vatPreview = (vat) => (vatModel ? { vat_rate: vat?.rate ?? "", vat_scheme: vat?.scheme ?? "" } : {});
+  // Preview columns of the markdown schedule (none without one); md: markdownOf(), plan: priceVariant()
+  const markdownPreview = (md, plan) => (schedule
+    ? {
+      stock_age_days: md?.ageDays ?? "",
+      markdown_bucket: md?.bucket ?? "",
+      markdown_pct: md?.pct ?? "",
+      markdown_amount: plan?.markdown ? round2(plan.markdown.amount) : "",
+    }
+    : {});
+
+  const out = {
+    cnfdnt: false,
+    type: "skip",
+    doDraft: false,
+    doReactivate: false,
+    needsChange: false,
+    preview: null,
+    previewVariants: [],
+    quarantineRules: [],
+    quarantineRows: [],
+    fullRows: [],
+    change: null,
+    onlyChangesRows: [],
+    rollbackRows: [],
+    rollbackVariantsWithoutPrice: 0,
+  };
+
+  const base = p.variants.reduce((best, v) => (!best || v.pos < best.pos) ? v : best, null);
+  if (trace) trace.base = base ? { variantId: base.variantId, position: base.pos } : null;
+
+  // Who drafted a Draft product: "tool" (draft tag of an earlier run) or "manual" (never reactivated)
+  const isDraft = normTag(p.status) === "draft";
+  const draftTagged = hasDraftTag(p.tagsArr, tagRules);
+  const draftOwnerBefore = isDraft ? (draftTagged ? "tool" : "manual") : "";
+
+  // CNFDNT (skip tag) => ignore completely (no output rows)
+  const skipTag = skipTagOf(p.tagsArr, tagRules);
+  if (skipTag) {
+    out.cnfdnt = skipTag;
+    if (trace) trace.skipped = skipTag;
+    out.preview = {
+      productId: p.productId,
+      title: p.title,
+      handle: p.handle,
+      status_current: p.status,
+      doDraft: false,
+      doReactivate: false,
+      draft_owner: draftOwnerBefore,
+      type: "skip",
+      variant_types: "",
+      msrp_gross: base?.compareAt ?? "",
+      M_used: "",
+      C_used: base?.cost ?? "",
+      ...vatPreview(null),
+      price_old: base?.price ?? "",
+      price_new_raw: "",
+      price_new: "",
+      as_low_as_old: p.asLowAsCurrent ?? "",
+      as_low_as_raw: "",
+      as_low_as_new: "",
+      ...markdownPreview(null, null),
+      G_price_new: "",
+      G_as_low_as: "",
+      break_even_price: "",
+      ...marketPreview(m => [
+        [`price_${m.key}_old`, base?.extra[m.priceColumn] ?? ""],
+        [`price_${m.key}_new`, ""],
+        [`as_low_as_${m.key}_old`, p.extra[m.metafieldColumn] ?? ""],
+        [`as_low_as_${m.key}_new`, ""],
+      ]),
+      tags_to_add: "",
+      tags_to_remove: "",
+      doTags: false,
+      doPrice: false,
+      doMetafield: false,
+      doVariantMetafield: false,
+      ...marketFlags(false, false),
+      needsChange: false,
+      quarantine: "",
+      out_of_scope: "",
+      pricing_mode: pricingMode,
+      pricing_profile: profile.name,
+      pricing_profile_hash: profile.hash,
+    };
+    return out;
+  }
+
+  // base mode: every variant gets the base variant's plan
+  const traceOf = (v) => (trace ? { variantId: v.variantId ?? "", position: v.pos ?? "" } : null);
+  const baseTrace = traceOf(base ?? {});
+  const forced = forcedTypeOf(p.tagsArr, tagRules);
+  // VAT for classification and margins (net); prices are still written gross
+  const vat = vatModel ? vatOf(p, vatModel) : null;
+  if (trace) trace.vat = vat;
+  // Markdown by stock age; stock: the product's total (base mode) or the variant's own inventory
+  const markdownFor = (v, inventory) => (schedule ? markdownOf(schedule, p, v, inventory, { stockDates, today }) : null);
+  const baseMarkdown = markdownFor(base, perVariant ? (base?.inventory ?? null) : productInventory(p));
+  if (trace) trace.markdown = baseMarkdown;
+  const basePlan = priceVariant(base ?? {}, forced, profile.params, { vat, markdown: baseMarkdown }, baseTrace);
+  const variantTraces = new Map();
+  const variantMarkdowns = new Map();
+  const plans = new Map(p.variants.map(v => {
+    if (!perVariant) return [v, basePlan];
+    const t = traceOf(v);
+    if (t) variantTraces.set(v, t);
+    const md = markdownFor(v, v.inventory ?? null);
+    variantMarkdowns.set(v, md);
+    return [v, priceVariant(v, forced, profile.params, { vat, markdown: md }, t)];
+  }));
+  const pricedPlans = [...plans.values()].filter(x => x.priceNew != null);
+
+  const msrpGross = base?.compareAt ?? 0; // MSRP (as provided)
+  const M = basePlan.M;
+  const C = basePlan.C;
+
+  const missingMC = perVariant ? pricedPlans.length === 0 : !(M > 0 && C > 0);
+  const doDraft = missingMC && !isDraft;
+  // Only the run's own drafts come back, once M and C are valid again
+  const doReactivate = !missingMC && isDraft && draftTagged;
+  const draftOwner = doDraft ? "tool" : draftOwnerBefore;
+
+  const desiredType = missingMC
+    ? "skip"
+    : (perVariant ? combineVariantTypes(pricedPlans.map(x => x.type)) : basePlan.type);
+
+  const desiredPriceNew = basePlan.priceNew;
+  const desiredAsLowAs = perVariant
+    ? productAsLowAs(desiredType, pricedPlans)
+    : basePlan.asLowAs;
+
+  const typeTagDiff = (!missingMC && TYPE_TAGS.includes(desiredType))
+    ? computeTagDiff(p.tagsArr, desiredType, tagRules)
+    : { desiredTagsArr: p.tagsArr, tags_to_add: [], tags_to_remove: [], doTags: false, want: [], unwanted: [] };
+  const tagDiff = tagRules.draftTag && (doDraft || !missingMC)
+    ? withDraftTag(typeTagDiff, tagRules.draftTag, doDraft)
+    : typeTagDiff;
+
+  // ONLY-CHANGES: variants needing price change (and, per-variant, as-low-as change)
+  const priceByVariant = new Map();
+  const variantsToUpdate = [];
+  const variantMfToUpdate = [];
+  if (!missingMC) {
+    for (const v of p.variants) {
+      const plan = plans.get(v);
+      if (!v.variantId || plan.priceNew == null) continue;
+      priceByVariant.set(v.variantId, plan.priceNew);
+      if (!approxEqualMoney(v.price, plan.priceNew)) variantsToUpdate.push(v.variantId);
+      if (perVariant && plan.asLowAs != null && !approxEqualMoney(v.asLowAsCurrent, plan.asLowAs)) {
+        variantMfToUpdate.push(v.variantId);
+      }
+    }
+  }
+  const doPrice = variantsToUpdate.length > 0;
+  const doVariantMetafield = variantMfToUpdate.length > 0;
+
+  // Metafield diff (for preview)
+  const currentMf = toNumberOrNull(p.asLowAsCurrent);
+  const doMetafield =
+    !missingMC &&
+    desiredType === "standard" &&
+    desiredAsLowAs != null &&
+    !(currentMf != null && approxEqualMoney(currentMf, desiredAsLowAs));
+
+  // MARKETS: local fixed price per variant (market price column) and local as-low-as per product,
+  // compared with the market columns of the export
+  const marketPlans = markets.map(m => {
+    const local = new Map(p.variants.map(v => [v, marketPrices(plans.get(v), m, profile.params)]));
+    const asLowAs = missingMC ? null : productAsLowAs(desiredType, [...local.values()].filter(x => x.price != null));
+    const currentAsLowAs = p.extra[m.metafieldColumn] ?? "";
+    return {
+      market: m,
+      local,
+      pricesToUpdate: p.variants
+        .filter(v => priceByVariant.has(v.variantId) && !approxEqualMoney(v.extra[m.priceColumn], local.get(v).price))
+        .map(v => v.variantId),
+      asLowAs,
+      currentAsLowAs,
+      doMetafield: asLowAs != null && !approxEqualMoney(currentAsLowAs, asLowAs),
+    };
+  });
+  const doMarketPrice = marketPlans.some(x => x.pricesToUpdate.length > 0);
+  const doMarketMetafield = marketPlans.some(x => x.doMetafield);
+
+  const needsChange = doDraft || doReactivate || tagDiff.doTags || doPrice || doMetafield || doVariantMetafield || doMarketPrice || doMarketMetafield;
+
+  // GUARDRAILS: one broken rule on any variant keeps the whole product out of the imports
+  const violations = missingMC
+    ? []
+    : p.variants.filter(v => priceByVariant.has(v.variantId)).flatMap(v => checkGuardrails(v, plans.get(v), profile.params, vat));
+  const quarantineRules = [...new Set(violations.map(x => x.rule))];
+
+  if (trace) {
+    Object.assign(trace, {
+      basePlan: baseTrace,
+      variants: perVariant ? p.variants.map(v => ({ ...variantTraces.get(v), priceNew: plans.get(v).priceNew, asLowAs: plans.get(v).asLowAs, markdown: variantMarkdowns.get(v) })) : null,
+      missingMC,
+      doDraft,
+      doReactivate,
+      draftOwner,
+      type: desiredType,
+      tagDiff,
+      prices: p.variants.filter(v => priceByVariant.has(v.variantId)).map(v => ({
+        variantId: v.variantId,
+        old: v.price,
+        new: priceByVariant.get(v.variantId),
+        changed: variantsToUpdate.includes(v.variantId),
+      })),
+      metafield: { current: p.asLowAsCurrent ?? "", desired: desiredAsLowAs, changed: doMetafield },
+      variantMetafields: perVariant
+        ? p.variants.filter(v => v.variantId).map(v => ({
+          variantId: v.variantId,
+          current: v.asLowAsCurrent ?? "",
+          desired: plans.get(v).asLowAs,
+          changed: variantMfToUpdate.includes(v.variantId),
+        }))
+        : null,
+      markets: marketPlans.map(x => ({
+        key: x.market.key,
+        currency: x.market.currency,
+        factor: x.market.fx * x.market.multiplier,
+        prices: p.variants.filter(v => priceByVariant.has(v.variantId)).map(v => ({
+          variantId: v.variantId,
+          old: v.extra[x.market.priceColumn] ?? "",
+          new: x.local.get(v).price,
+          limited: x.local.get(v).limited,
+          changed: x.pricesToUpdate.includes(v.variantId),
+        })),
+        metafield: { current: x.currentAsLowAs, desired: x.asLowAs, changed: x.doMetafield },
+      })),
+      needsChange,
+      violations,
+    });
+  }
+
+  // Margins (G) with the classification fee model (net with a VAT model); per-variant: the worst variant
+  const fees = profile.params.classification;
+  const money = (x) => (x == null ? "" : round2(x));
+  const worst = (values) => {
+    const xs = values.filter(x => x != null);
+    return xs.length ? Math.min(...xs) : null;
+  };
+  const marginsOf = new Map([basePlan, ...plans.values()].map(x => [x, planMargins(x, fees, vat)]));
+  const pricedMargins = missingMC ? [] : pricedPlans.map(x => marginsOf.get(x));
+
+  const rowPrev = {
+    productId: p.productId,
+    title: p.title,
+    handle: p.handle,
+    status_current: p.status,
+    doDraft,
+    doReactivate,
+    draft_owner: draftOwner,
+    type: desiredType,
+    variant_types: perVariant ? [...new Set(pricedPlans.map(x => x.type))].join("|") : "",
+    msrp_gross: msrpGross ? round2(msrpGross) : "",
+    M_used: M ? round2(M) : "",
+    C_used: C ? round2(C) : "",
+    ...vatPreview(vat),
+    price_old: base?.price ?? "",
+    price_new_raw: basePlan.priceRaw ?? "",
+    price_new: desiredPriceNew ?? "",
+    as_low_as_old: p.asLowAsCurrent ?? "",
+    as_low_as_raw: (perVariant ? pricedPlans.find(x => x.asLowAs === desiredAsLowAs)?.asLowAsRaw : basePlan.asLowAsRaw) ?? "",
+    as_low_as_new: desiredAsLowAs ?? "",
+    ...markdownPreview(baseMarkdown, missingMC ? null : basePlan),
+    G_price_new: money(worst(pricedMargins.map(x => x.G_price_new))),
+    G_as_low_as: money(worst(pricedMargins.map(x => x.G_as_low_as))),
+    break_even_price: money(marginsOf.get(basePlan).breakEven),
+    ...marketPreview(m => {
+      const x = marketPlans.find(y => y.market === m);
+      return [
+        [`price_${m.key}_old`, base?.extra[m.priceColumn] ?? ""],
+        [`price_${m.key}_new`, (!missingMC && base ? x.local.get(base).price : null) ?? ""],
+        [`as_low_as_${m.key}_old`, x.currentAsLowAs],
+        [`as_low_as_${m.key}_new`, x.asLowAs ?? ""],
+      ];
+    }),
+    tags_to_add: tagDiff.tags_to_add.join("|"),
+    tags_to_remove: tagDiff.tags_to_remove.join("|"),
+    doTags: tagDiff.doTags,
+    doPrice,
+    doMetafield,
+    doVariantMetafield,
+    ...marketFlags(doMarketPrice, doMarketMetafield),
+    needsChange,
+    quarantine: quarantineRules.join("|"),
+    out_of_scope: "",
+    pricing_mode: pricingMode,
+    pricing_profile: profile.name,
+    pricing_profile_hash: profile.hash,
+  };
+
+  Object.assign(out, { type: desiredType, doDraft, doReactivate, needsChange, preview: rowPrev });
+
+  if (perVariant) {
+    for (const v of p.variants) {
+      const plan = plans.get(v);
+      out.previewVariants.push({
+        productId: p.productId,
+        variantId: v.variantId,
+        position: v.pos,
+        type: plan.type,
+        M_used: plan.M ? round2(plan.M) : "",
+        C_used: plan.C ? round2(plan.C) : "",
+        price_old: v.price ?? "",
+        price_new_raw: plan.priceRaw ?? "",
+        price_new: plan.priceNew ?? "",
+        as_low_as_old: v.asLowAsCurrent ?? "",
+        as_low_as_raw: plan.asLowAsRaw ?? "",
+        as_low_as_new: plan.asLowAs ?? "",
+        ...markdownPreview(variantMarkdowns.get(v), plan),
+        G_price_new: money(marginsOf.get(plan).G_price_new),
+        G_as_low_as: money(marginsOf.get(plan).G_as_low_as),
+        break_even_price: money(marginsOf.get(plan).breakEven),
+        ...marketPreview(m => {
+          const x = marketPlans.find(y => y.market === m);
+          return [
+            [`price_${m.key}_old`, v.extra[m.priceColumn] ?? ""],
+            [`price_${m.key}_new`, (!missingMC ? x.local.get(v).price : null) ?? ""],
+          ];
+        }),
+        doPrice: variantsToUpdate.includes(v.variantId),
+        doMetafield: variantMfToUpdate.includes(v.variantId),
+        pricing_profile: profile.name,
+        pricing_profile_hash: profile.hash,
+      });
+    }
+  }
+
+  if (quarantineRules.length) {
+    out.quarantineRules = quarantineRules;
+    for (const x of violations) {
+      const v = p.variants.find(y => y.variantId === x.variantId);
+      const plan = plans.get(v);
+      out.quarantineRows.push({
+        productId: p.productId,
+        handle: p.handle,
+        title: p.title,
+        variantId: x.variantId,
+        type: plan.type,
+        rule: x.rule,
+        value: x.value,
+        limit: x.limit,
+        M_used: plan.M ? round2(plan.M) : "",
+        C_used: plan.C ? round2(plan.C) : "",
+        price_old: v.price ?? "",
+        price_new: plan.priceNew ?? "",
+        as_low_as_new: plan.asLowAs ?? "",
+        pricing_profile: profile.name,
+        pricing_profile_hash: profile.hash,
+      });
+    }
+    return out;
+  }
+
+  // Variant-level as-low-as cell: planned value, otherwise preserve
+  const variantMfCell = (v) => {
+    const plan = plans.get(v);
+    return plan.asLowAs != null ? String(plan.asLowAs) : (v.asLowAsCurrent ? String(v.asLowAsCurrent) : "");
+  };
+
+  // Market cells: local price on rows that write a variant; local as-low-as for standard products,
+  // otherwise the current value is preserved (same rule as the shop metafield)
+  const marketVariantCells = (v) => Object.fromEntries(marketPlans.map(x => [x.market.priceColumn, v ? String(x.local.get(v).price) : ""]));
+  const marketMfCells = Object.fromEntries(marketPlans.map(x => [x.market.metafieldColumn, x.asLowAs != null ? String(x.asLowAs) : x.currentAsLowAs]));
+  const rollbackMarketCells = (v) => Object.fromEntries([
+    ...markets.map(m => [m.priceColumn, v ? (v.extra[m.priceColumn] ?? "") : ""]),
+    ...markets.map(m => [m.metafieldColumn, p.extra[m.metafieldColumn] ?? ""]),
+  ]);
+
+  // ---------- FULL IMPORT ----------
+  const fullDoTags = (!missingMC && TYPE_TAGS.includes(desiredType)) || tagDiff.doTags;
+  const fullTagsCellOut = fullDoTags ? joinTags(tagDiff.desiredTagsArr, tagRules) : "";
+  const fullTagsCmdOut = fullDoTags ? "REPLACE" : "";
+
+  const fullMfCell =
+    (!missingMC && desiredType === "standard" && desiredAsLowAs != null)
+      ? String(desiredAsLowAs) // standard => ALWAYS set
+      : (p.asLowAsCurrent ? String(p.asLowAsCurrent) : ""); // otherwise preserve
+
+  const fullDoPrice = (!missingMC && TYPE_TAGS.includes(desiredType) && priceByVariant.size > 0);
+
+  const primaryVariant = base?.variantId ? base : p.variants[0];
+  const primaryVariantId = primaryVariant?.variantId ?? "";
+  const fullPrimaryHasPriceUpdate = fullDoPrice && priceByVariant.has(primaryVariantId);
+
+  const fullPrimaryVariantIdOut = fullPrimaryHasPriceUpdate ? primaryVariantId : "";
+  const fullPrimaryVariantCmdOut = fullPrimaryHasPriceUpdate ? "UPDATE" : "";
+  const fullPrimaryVariantPriceOut = fullPrimaryHasPriceUpdate ? String(priceByVariant.get(primaryVariantId)) : "";
+
+  // FAIL-FAST: if Variant ID is set, price must be set
+  if (fullPrimaryVariantIdOut && !fullPrimaryVariantPriceOut) {
+    throw new Error(`FAIL-FAST: FULL: Variant ID gesetzt, aber Variant Price leer. Product ID=${p.productId}`);
+  }
+
+  out.fullRows.push({
+    "ID": p.productId,
+    "Command": "UPDATE",
+    "Tags": fullTagsCellOut,
+    "Tags Command": fullTagsCmdOut,
+    "Status": doDraft ? "Draft" : (doReactivate ? "Active" : ""),
+    "Variant ID": fullPrimaryVariantIdOut,
+    "Variant Command": fullPrimaryVariantCmdOut,
+    "Variant Price": fullPrimaryVariantPriceOut,
+    [mfCol]: fullMfCell,
+    ...variantMfCells(fullPrimaryHasPriceUpdate ? variantMfCell(primaryVariant) : ""),
+    ...marketVariantCells(fullPrimaryHasPriceUpdate ? primaryVariant : null),
+    ...marketMfCells,
+    ...profileCols,
+  });
+
+  if (fullDoPrice) {
+    for (const v of p.variants) {
+      const vid = v.variantId;
+      if (!vid || vid === primaryVariantId || !priceByVariant.has(vid)) continue;
+
+      out.fullRows.push({
+        "ID": p.productId,
+        "Command": "UPDATE",
+        "Tags": "",
+        "Tags Command": "",
+        "Status": "",
+        "Variant ID": vid,
+        "Variant Command": "UPDATE",
+        "Variant Price": String(priceByVariant.get(vid)),
+        [mfCol]: fullMfCell,
+        ...variantMfCells(variantMfCell(v)),
+        ...marketVariantCells(v),
+        ...marketMfCells,
+        ...profileCols,
+      });
+    }
+  }
+
+  // ---------- ONLY-CHANGES IMPORT ----------
+  if (!needsChange) return out;
+
+  const variantsToWrite = [...new Set([...variantsToUpdate, ...variantMfToUpdate, ...marketPlans.flatMap(x => x.pricesToUpdate)])];
+
+  out.change = {
+    productId: p.productId,
+    handle: p.handle,
+    type: desiredType,
+    variantCount: p.variants.length,
+    doDraft,
+    doReactivate,
+    doTags: tagDiff.doTags,
+    desiredTagsArr: tagDiff.desiredTagsArr,
+    tagsToAdd: tagDiff.tags_to_add,
+    tagsToRemove: p.tagsArr.filter(t => tagDiff.tags_to_remove.includes(normTag(t))), // export casing
+    tagsWanted: tagDiff.want,
+    tagsUnwanted: tagDiff.unwanted,
+    doPrice,
+    desiredPriceNew,
+    variantsToUpdate,
+    priceByVariant,
+    doMetafield,
+    desiredAsLowAs,
+    currentAsLowAs: p.asLowAsCurrent ?? "",
+    doVariantMetafield,
+    variantMfToUpdate,
+    doMarketPrice,
+    doMarketMetafield,
+    asLowAsByVariant: new Map(p.variants.map(v => [v.variantId, plans.get(v).asLowAs])),
+  };
+
+  const mfCell =
+    (!missingMC && desiredType === "standard" && desiredAsLowAs != null)
+      ? String(desiredAsLowAs) // standard => ALWAYS set
+      : (p.asLowAsCurrent ? String(p.asLowAsCurrent) : "");
+
+  const tagsCellOut = tagDiff.doTags ? joinTags(tagDiff.desiredTagsArr, tagRules) : "";
+  const tagsCmdOut = tagDiff.doTags ? "REPLACE" : "";
+
+  // STRUCTURE FIX: only write Variant ID if we also write price+command
+  const primaryHasPriceUpdate = !!primaryVariantId && variantsToWrite.includes(primaryVariantId);
+
+  const primaryVariantIdOut = primaryHasPriceUpdate ? primaryVariantId : "";
+  const primaryVariantCmdOut = primaryHasPriceUpdate ? "UPDATE" : "";
+  const primaryVariantPriceOut = primaryHasPriceUpdate ? String(priceByVariant.get(primaryVariantId)) : "";
+
+  if (primaryVariantIdOut && !primaryVariantPriceOut) {
+    throw new Error(`FAIL-FAST: ONLY-CHANGES: Variant ID gesetzt, aber Variant Price leer. Product ID=${p.productId}`);
+  }
+
+  out.onlyChangesRows.push({
+    "ID": p.productId,
+    "Command": "UPDATE",
+    "Tags": tagsCellOut,
+    "Tags Command": tagsCmdOut,
+    "Status": doDraft ? "Draft" : (doReactivate ? "Active" : ""),
+    "Variant ID": primaryVariantIdOut,
+    "Variant Command": primaryVariantCmdOut,
+    "Variant Price": primaryVariantPriceOut,
+    [mfCol]: mfCell,
+    ...variantMfCells(primaryHasPriceUpdate ? variantMfCell(primaryVariant) : ""),
+    ...marketVariantCells(primaryHasPriceUpdate ? primaryVariant : null),
+    ...marketMfCells,
+    ...profileCols,
+  });
+
+  for (const vid of variantsToWrite) {
+    if (!vid || vid === primaryVariantId) continue;
+    out.onlyChangesRows.push({
+      "ID": p.productId,
+      "Command": "UPDATE",
+      "Tags": "",
+      "Tags Command": "",
+      "Status": "",
+      "Variant ID": vid,
+      "Variant Command": "UPDATE",
+      "Variant Price": String(priceByVariant.get(vid)),
+      [mfCol]: mfCell,
+      ...variantMfCells(variantMfCell(p.variants.find(v => v.variantId === vid))),
+      ...marketVariantCells(p.variants.find(v => v.variantId === vid)),
+      ...marketMfCells,
+      ...profileCols,
+    });
+  }
+
+  // ---------- ROLLBACK (inverse of only-changes) ----------
+  // Restores the exported state: original tags (REPLACE), status, variant prices and
+  // as-low-as values. An empty metafield cell makes Matrixify delete the metafield again.
+  const variantsToRestore = [];
+  for (const vid of variantsToWrite) {
+    const v = p.variants.find(x => x.variantId === vid);
+    if (!v?.priceRaw) { out.rollbackVariantsWithoutPrice++; continue; }
+    variantsToRestore.push(v);
+  }
+
+  // REPLACE with an empty Tags cell would leave the added type tag in place -> DELETE it instead
+  const rollbackTagsOut = !tagDiff.doTags ? "" : joinTags(p.tagsArr.length ? p.tagsArr : tagDiff.tags_to_add, tagRules);
+  const rollbackTagsCmdOut = !tagDiff.doTags ? "" : (p.tagsArr.length ? "REPLACE" : "DELETE");
+
+  const rollbackPrimary = variantsToRestore.find(v => v.variantId === primaryVariantId);
+
+  out.rollbackRows.push({
+    "ID": p.productId,
+    "Command": "UPDATE",
+    "Tags": rollbackTagsOut,
+    "Tags Command": rollbackTagsCmdOut,
+    "Status": (doDraft || doReactivate) ? p.status : "",
+    "Variant ID": rollbackPrimary ? rollbackPrimary.variantId : "",
+    "Variant Command": rollbackPrimary ? "UPDATE" : "",
+    "Variant Price": rollbackPrimary ? rollbackPrimary.priceRaw : "",
+    [mfCol]: p.asLowAsCurrent ?? "",
+    ...variantMfCells(rollbackPrimary ? (rollbackPrimary.asLowAsCurrent ?? "") : ""),
+    ...rollbackMarketCells(rollbackPrimary),
+    ...profileCols,
+  });
+
+  for (const v of variantsToRestore) {
+    if (v === rollbackPrimary) continue;
+    out.rollbackRows.push({
+      "ID": p.productId,
+      "Command": "UPDATE",
+      "Tags": "",
+      "Tags Command": "",
+      "Status": "",
+      "Variant ID": v.variantId,
+      "Variant Command": "UPDATE",
+      "Variant Price": v.priceRaw,
+      [mfCol]: p.asLowAsCurrent ?? "",
+      ...variantMfCells(v.asLowAsCurrent ?? ""),
+      ...rollbackMarketCells(v),
+      ...profileCols,
+    });
+  }
+
+  return out;
+}
+
+/**
+ * Drops a planned product out of a scoped run: no import, quarantine or rollback rows,
+ * no change item; the preview keeps the computed values with every do-flag off and
+ * the reason in out_of_scope.
+ */
+export function outOfScope(r, reason) {
+  const off = { doDraft: false, doReactivate: false, doTags: false, doPrice: false, doMetafield: false, doVariantMetafield: false, needsChange: false };
+  if ("doMarketPrice" in r.preview) Object.assign(off, { doMarketPrice: false, doMarketMetafield: false });
+  return {
+    ...r,
+    outOfScope: reason,
+    doDraft: false,
+    doReactivate: false,
+    needsChange: false,
+    preview: { ...r.preview, ...off, quarantine: "", out_of_scope: reason },
+    previewVariants: r.previewVariants.map(x => ({ ...x, doPrice: false, doMetafield: false })),
+    quarantineRules: [],
+    quarantineRows: [],
+    fullRows: [],
+    change: null,
+    onlyChangesRows: [],
+    rollbackRows: [],
+    rollbackVariantsWithoutPrice: 0,
+  };
+}
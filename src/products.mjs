@@ -0,0 +1,225 @@
+import { readTable } from "./table.mjs";
+import { PRODUCTS_SHEET } from "./xlsx.mjs";
+
+// ---------- Export helpers ----------
+export function stripBom(s) {
+  return String(s ?? "").replace(/^\uFEFF/, "");
+}
+
+export function normHeader(h) {
+  return stripBom(String(h ?? "")).trim().toLowerCase();
+}
+
+// spotted.as_low_as metafield columns (exact key: spotted.as_low_as_<market> columns belong to the markets)
+export function isAsLowAsColumn(h) {
+  return /^metafield: spotted\.as_low_as(\s|$)/.test(normHeader(h));
+}
+
+export function isVariantAsLowAsColumn(h) {
+  return /^variant metafield: spotted\.as_low_as(\s|$)/.test(normHeader(h));
+}
+
+export function toNumberOrNull(x) {
+  const n = Number(String(x ?? "").replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+}
+
+// Differences below half a cent count as unchanged
+export const MONEY_TOLERANCE = 0.005;
+
+export function approxEqualMoney(a, b) {
+  const na = toNumberOrNull(a);
+  const nb = toNumberOrNull(b);
+  if (!(na > -Infinity) || !(nb > -Infinity)) return false;
+  return Math.abs(na - nb) < MONEY_TOLERANCE;
+}
+
+export function isNumericId(s) {
+  return /^\d+$/.test(String(s ?? "").trim());
+}
+
+export function normTag(t) {
+  return String(t || "").toLowerCase().trim();
+}
+
+export function parseTags(tagsCell, separator = ",") {
+  const raw = String(tagsCell ?? "").trim();
+  if (!raw) return [];
+  return raw.split(separator).map(x => x.trim()).filter(Boolean);
+}
+
+/**
+ * Reads a Matrixify product export (CSV or .xlsx) and groups its rows by product ID.
+ * Returns { products, header, metafieldColName, variantMetafieldColName, warnings } — products is a
+ * Map productId -> { productId, title, handle, status, vendor, productType, collections, tagsArr, tagsRaw,
+ * asLowAsCurrent, variants } (vendor/productType/collections: optional columns, "" / [] when missing);
+ * warnings lists data problems that do not stop the run: [{ line, productId, variantId, message }].
+ * tagSeparator: split of the Tags cell (tag rules "separator").
+ * extraColumns: further columns to read verbatim (market prices/metafields) into variant.extra and
+ * product.extra (first non-empty value); every one must be in the export.
+ */
+export async function readProducts(inputPath, { log = console.log, tagSeparator = ",", extraColumns = [] } = {}) {
+  const { delimiter: delim, records } = readTable(inputPath);
+
+  let header = null;
+  let idx = {};
+  let metafieldColName = null;
+  let variantMetafieldColName = null;
+
+  const products = new Map();
+  const warnings = [];
+  const warn = (line, productId, variantId, message) => warnings.push({ line, productId, variantId, message });
+  const seenVariantIds = new Set();
+
+  for await (const { cells, line, raw } of records) {
+    if (!header) {
+      header = cells.map(h => stripBom(h));
+      const headerNorm = header.map(normHeader);
+
+      for (let i = 0; i < header.length; i++) {
+        const hn = headerNorm[i];
+        if (isAsLowAsColumn(hn)) metafieldColName = header[i];
+        if (isVariantAsLowAsColumn(hn)) variantMetafieldColName = header[i];
+      }
+
+      const mustHave = [
+        "id", "tags", "status",
+        "variant id", "variant position", "variant price",
+        "variant compare at price", "variant cost"
+      ];
+      const missing = mustHave.filter(k => !headerNorm.includes(normHeader(k)));
+      if (missing.length) {
+        log("Headers detected (first 50):", header.slice(0, 50));
+        throw new Error(`Spalten fehlen in CSV: ${missing.map(x => `"${x}"`).join(", ")}`);
+      }
+      // FAIL-FAST: an unknown current value would be written as empty cell, and Matrixify deletes on empty cells
+      const missingExtra = extraColumns.filter(c => !headerNorm.includes(normHeader(c)));
+      if (missingExtra.length) {
+        throw new Error(`FAIL-FAST: Markt-Spalten fehlen im Export: ${missingExtra.map(x => `"${x}"`).join(", ")} (mit exportieren oder --markets anpassen)`);
+      }
+
+      const indexOf = (name) => headerNorm.indexOf(normHeader(name));
+      idx = {
+        ID: indexOf("ID"),
+        HANDLE: headerNorm.indexOf("handle"),
+        TITLE: headerNorm.indexOf("title"),
+        TAGS: headerNorm.indexOf("tags"),
+        STATUS: headerNorm.indexOf("status"),
+        VARIANT_ID: indexOf("Variant ID"),
+        VARIANT_POS: indexOf("Variant Position"),
+        VARIANT_PRICE: indexOf("Variant Price"),
+        VARIANT_COMPARE: indexOf("Variant Compare At Price"),
+        VARIANT_COST: indexOf("Variant Cost"),
+        VENDOR: headerNorm.indexOf("vendor"),
+        TYPE: headerNorm.indexOf("type"),
+        CREATED_AT: headerNorm.indexOf("created at"),
+        PUBLISHED_AT: headerNorm.indexOf("published at"),
+        VARIANT_INVENTORY: indexOf("Variant Inventory Qty"),
+        COLLECTIONS: ["collection", "custom collections", "smart collections"].map(c => headerNorm.indexOf(c)).filter(i => i >= 0),
+        MF_ASLOWAS: metafieldColName ? headerNorm.indexOf(normHeader(metafieldColName)) : -1,
+        VARIANT_MF_ASLOWAS: variantMetafieldColName ? headerNorm.indexOf(normHeader(variantMetafieldColName)) : -1,
+        EXTRA: extraColumns.map(c => [c, headerNorm.indexOf(normHeader(c))]),
+      };
+
+      if (!metafieldColName) warn(line, "", "", 'Spalte "Metafield: spotted.as_low_as" fehlt (aktuelle as-low-as Werte unbekannt)');
+      log(`✅ Header ok. ${delim ? `Delimiter="${delim}"` : `Sheet="${PRODUCTS_SHEET}"`}. Metafield col="${metafieldColName ?? "NOT FOUND"}"`);
+      continue;
+    }
+
+    const productId = (cells[idx.ID] ?? "").trim();
+    if (!productId) continue;
+
+    // FAIL-FAST: ID must be numeric
+    if (!isNumericId(productId)) {
+      throw new Error(
+        [
+          'FAIL-FAST: "ID" ist nicht numerisch.',
+          `Datensatz ab Zeile ${line}, ID parsed as: "${productId}"`,
+          `Raw record (first 250 chars): ${JSON.stringify(raw.slice(0, 250))}`,
+        ].join("\n")
+      );
+    }
+
+    const tagsCell = cells[idx.TAGS] ?? "";
+    const status = (cells[idx.STATUS] ?? "").trim();
+    const title = (cells[idx.TITLE] ?? "").trim();
+    const handle = (cells[idx.HANDLE] ?? "").trim();
+    const vendor = (cells[idx.VENDOR] ?? "").trim();
+    const productType = (cells[idx.TYPE] ?? "").trim();
+    const createdAt = (cells[idx.CREATED_AT] ?? "").trim();
+    const publishedAt = (cells[idx.PUBLISHED_AT] ?? "").trim();
+    const collections = idx.COLLECTIONS.flatMap(i => parseTags(cells[i]));
+
+    const variantId = (cells[idx.VARIANT_ID] ?? "").trim();
+    const pos = toNumberOrNull(cells[idx.VARIANT_POS]) ?? 999999;
+    const price = toNumberOrNull(cells[idx.VARIANT_PRICE]);
+    const compareAt = toNumberOrNull(cells[idx.VARIANT_COMPARE]); // MSRP gross
+    const cost = toNumberOrNull(cells[idx.VARIANT_COST]);         // Cost gross (as provided)
+    const inventoryCell = (cells[idx.VARIANT_INVENTORY] ?? "").trim();
+    const inventory = inventoryCell ? toNumberOrNull(inventoryCell) : null; // null = unknown
+
+    if (!variantId) warn(line, productId, "", '"Variant ID" ist leer');
+    else if (seenVariantIds.has(variantId)) warn(line, productId, variantId, '"Variant ID" kommt mehrfach vor');
+    else seenVariantIds.add(variantId);
+    const numberCells = [
+      ["Variant Price", idx.VARIANT_PRICE],
+      ["Variant Compare At Price", idx.VARIANT_COMPARE],
+      ["Variant Cost", idx.VARIANT_COST],
+      ["Variant Inventory Qty", idx.VARIANT_INVENTORY],
+    ];
+    for (const [col, i] of numberCells) {
+      const rawCell = (cells[i] ?? "").trim();
+      if (rawCell && toNumberOrNull(rawCell) == null) warn(line, productId, variantId, `"${col}" ist keine Zahl: ${JSON.stringify(rawCell)}`);
+    }
+
+    const asLowAsCurrent = (idx.MF_ASLOWAS >= 0 ? (cells[idx.MF_ASLOWAS] ?? "") : "").trim();
+    const variantAsLowAsCurrent = (idx.VARIANT_MF_ASLOWAS >= 0 ? (cells[idx.VARIANT_MF_ASLOWAS] ?? "") : "").trim();
+    const extra = Object.fromEntries(idx.EXTRA.map(([c, i]) => [c, (i >= 0 ? (cells[i] ?? "") : "").trim()]));
+
+    if (!products.has(productId)) {
+      products.set(productId, {
+        productId,
+        title,
+        handle,
+        status,
+        vendor,
+        productType,
+        createdAt,
+        publishedAt,
+        collections,
+        tagsArr: parseTags(tagsCell, tagSeparator),
+        tagsRaw: tagsCell,
+        asLowAsCurrent,
+        extra: { ...extra },
+        variants: [],
+      });
+    }
+
+    const p = products.get(productId);
+    p.variants.push({
+      variantId,
+      pos,
+      price,
+      priceRaw: (cells[idx.VARIANT_PRICE] ?? "").trim(), // verbatim, for rollback
+      compareAt,
+      cost,
+      inventory,
+      asLowAsCurrent: variantAsLowAsCurrent,
+      extra,
+    });
+
+    if (!p.title && title) p.title = title;
+    if (!p.handle && handle) p.handle = handle;
+    if (!p.status && status) p.status = status;
+    if (!p.vendor && vendor) p.vendor = vendor;
+    if (!p.productType && productType) p.productType = productType;
+    if (!p.createdAt && createdAt) p.createdAt = createdAt;
+    if (!p.publishedAt && publishedAt) p.publishedAt = publishedAt;
+    if (!p.collections.length && collections.length) p.collections = collections;
+    if (!p.tagsRaw && tagsCell) { p.tagsRaw = tagsCell; p.tagsArr = parseTags(tagsCell, tagSeparator); }
+    if (!p.asLowAsCurrent && asLowAsCurrent) p.asLowAsCurrent = asLowAsCurrent;
+    for (const [c, value] of Object.entries(extra)) if (!p.extra[c] && value) p.extra[c] = value;
+  }
+
+  return { products, header, metafieldColName, variantMetafieldColName, warnings };
+}
@@ -0,0 +1,249 @@
+import fs from "node:fs";
+import readline from "node:readline";
+import { approxEqualMoney, normTag } from "./products.mjs";
+import { openJsonl } from "./jsonl.mjs";
+
+// ---------- Plan file ----------
+// plan.jsonl: first line { meta }, then one line per exported product with its
+// state before the run and what the run planned to change (null = nothing).
+
+function beforeState(p) {
+  return {
+    status: p.status,
+    tags: p.tagsArr,
+    asLowAs: p.asLowAsCurrent ?? "",
+    variants: Object.fromEntries(p.variants.filter(v => v.variantId).map(v => [
+      v.variantId,
+      { price: v.priceRaw, asLowAs: v.asLowAsCurrent ?? "" },
+    ])),
+  };
+}
+
+/**
+ * What the only-changes import is expected to leave behind for one change item.
+ * Type tags (tag rules): the tags of the product's type present, the other owned tags absent.
+ */
+export function plannedFromChangeItem(x) {
+  return {
+    type: x.type,
+    status: x.doDraft ? "draft" : (x.doReactivate ? "active" : null),
+    tagsPresent: x.tagsWanted,
+    tagsAbsent: x.tagsUnwanted,
+    prices: Object.fromEntries(x.priceByVariant),
+    asLowAs: (x.type === "standard" && x.desiredAsLowAs != null) ? x.desiredAsLowAs : null,
+    variantAsLowAs: Object.fromEntries(x.variantMfToUpdate.map(vid => [vid, x.asLowAsByVariant.get(vid)])),
+  };
+}
+
+export async function writePlan(filePath, meta, products, plannedById) {
+  const out = openJsonl(filePath);
+  await out.write({ meta });
+  for (const p of products.values()) {
+    await out.write({
+      productId: p.productId,
+      handle: p.handle,
+      before: beforeState(p),
+      planned: plannedById.get(p.productId) ?? null,
+    });
+  }
+  await out.close();
+}
+
+export async function readPlan(filePath) {
+  if (!fs.existsSync(filePath)) throw new Error(`Plan-Datei nicht gefunden: ${filePath}`);
+  const rl = readline.createInterface({ input: fs.createReadStream(filePath, { encoding: "utf8" }), crlfDelay: Infinity });
+
+  let meta = null;
+  const items = new Map();
+  let lineNo = 0;
+  for await (const line of rl) {
+    lineNo++;
+    if (!line.trim()) continue;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`Plan-Datei kaputt in Zeile ${lineNo}: ${err.message}`);
+    }
+    if (obj.meta) { meta = obj.meta; continue; }
+    items.set(obj.productId, obj);
+  }
+  if (!meta) throw new Error(`Plan-Datei ohne Meta-Zeile: ${filePath}`);
+  return { meta, items };
+}
+
+// ---------- Compare ----------
+const sameText = (a, b) => String(a ?? "").trim() === String(b ?? "").trim();
+const sameValue = (a, b) => sameText(a, b) || approxEqualMoney(a, b);
+
+/**
+ * Compares a fresh export against the plan.
+ * issues: { productId, handle, variantId, field, kind, expected, actual } with kind
+ *   mismatch   — planned value did not land
+ *   missing    — planned product/variant not in the fresh export
+ *   unplanned  — value changed although the run did not plan it (incl. new products/variants)
+ * retry: per product, the planned values that did not land (input for the follow-up import).
+ * onlyIds: products that were actually imported (e.g. a test batch); the others are
+ * expected to be unchanged.
+ */
+export function reconcile(plan, freshProducts, { onlyIds = null } = {}) {
+  const issues = [];
+  const retry = new Map();
+
+  const retryOf = (productId) => {
+    if (!retry.has(productId)) retry.set(productId, { productId, tags: null, status: null, asLowAs: null, variants: new Map() });
+    return retry.get(productId);
+  };
+
+  for (const item of plan.items.values()) {
+    const { productId, handle, before } = item;
+    const planned = (onlyIds && !onlyIds.has(productId)) ? null : item.planned;
+    const add = (field, kind, expected, actual, variantId = "") =>
+      issues.push({ productId, handle, variantId, field, kind, expected, actual });
+
+    const fresh = freshProducts.get(productId);
+    if (!fresh) {
+      add("product", planned ? "missing" : "unplanned", "present", "missing");
+      continue;
+    }
+
+    // Status
+    if (planned?.status) {
+      const expected = planned.status === "draft" ? "Draft" : "Active";
+      if (normTag(fresh.status) !== planned.status) {
+        add("status", "mismatch", expected, fresh.status);
+        retryOf(productId).status = expected;
+      }
+    } else if (normTag(fresh.status) !== normTag(before.status)) {
+      add("status", "unplanned", before.status, fresh.status);
+    }
+
+    // Tags: type tags are checked against the plan, every other tag against the export before the run
+    const freshLower = fresh.tagsArr.map(normTag);
+    const present = planned?.tagsPresent ?? [];
+    const absent = planned?.tagsAbsent ?? [];
+    const owned = new Set([...present, ...absent].map(normTag));
+    const typeTagsOk = present.every(t => freshLower.includes(normTag(t))) && !absent.some(t => freshLower.includes(normTag(t)));
+    if (!typeTagsOk) {
+      add("tags", "mismatch", `+${present.join("|")} -${absent.join("|")}`, fresh.tagsArr.join(", "));
+      retryOf(productId).tags = [...fresh.tagsArr.filter(t => !owned.has(normTag(t))), ...present];
+    }
+    const otherBefore = before.tags.map(normTag).filter(t => !owned.has(t)).sort();
+    const otherFresh = freshLower.filter(t => !owned.has(t)).sort();
+    if (otherBefore.join("\u0000") !== otherFresh.join("\u0000")) {
+      add("tags", "unplanned", otherBefore.join(", "), otherFresh.join(", "));
+    }
+
+    // Product metafield
+    if (planned?.asLowAs != null) {
+      if (!approxEqualMoney(fresh.asLowAsCurrent, planned.asLowAs)) {
+        add("as_low_as", "mismatch", planned.asLowAs, fresh.asLowAsCurrent);
+        retryOf(productId).asLowAs = planned.asLowAs;
+      }
+    } else if (!sameValue(fresh.asLowAsCurrent, before.asLowAs)) {
+      add("as_low_as", "unplanned", before.asLowAs, fresh.asLowAsCurrent);
+    }
+
+    // Variants
+    const freshVariants = new Map(fresh.variants.filter(v => v.variantId).map(v => [v.variantId, v]));
+    for (const [vid, b] of Object.entries(before.variants)) {
+      const fv = freshVariants.get(vid);
+      const plannedPrice = planned?.prices?.[vid];
+      const plannedAsLowAs = planned?.variantAsLowAs?.[vid];
+      if (!fv) {
+        add("variant", (plannedPrice != null || plannedAsLowAs != null) ? "missing" : "unplanned", "present", "missing", vid);
+        continue;
+      }
+
+      if (plannedPrice != null) {
+        if (!approxEqualMoney(fv.price, plannedPrice)) {
+          add("price", "mismatch", plannedPrice, fv.priceRaw, vid);
+          retryOf(productId).variants.set(vid, { ...retryOf(productId).variants.get(vid), price: plannedPrice });
+        }
+      } else if (!sameValue(fv.priceRaw, b.price)) {
+        add("price", "unplanned", b.price, fv.priceRaw, vid);
+      }
+
+      if (plannedAsLowAs != null) {
+        if (!approxEqualMoney(fv.asLowAsCurrent, plannedAsLowAs)) {
+          add("variant_as_low_as", "mismatch", plannedAsLowAs, fv.asLowAsCurrent, vid);
+          retryOf(productId).variants.set(vid, { ...retryOf(productId).variants.get(vid), asLowAs: plannedAsLowAs });
+        }
+      } else if (!sameValue(fv.asLowAsCurrent, b.asLowAs)) {
+        add("variant_as_low_as", "unplanned", b.asLowAs, fv.asLowAsCurrent, vid);
+      }
+    }
+    for (const vid of freshVariants.keys()) {
+      if (!(vid in before.variants)) add("variant", "unplanned", "missing", "present", vid);
+    }
+  }
+
+  for (const fresh of freshProducts.values()) {
+    if (!plan.items.has(fresh.productId)) {
+      issues.push({ productId: fresh.productId, handle: fresh.handle, variantId: "", field: "product", kind: "unplanned", expected: "missing", actual: "present" });
+    }
+  }
+
+  // Variant price is required whenever a retry row carries a Variant ID
+  for (const r of retry.values()) {
+    const { planned } = plan.items.get(r.productId);
+    for (const [vid, x] of r.variants) {
+      if (x.price == null) x.price = planned.prices?.[vid] ?? freshProducts.get(r.productId).variants.find(v => v.variantId === vid)?.priceRaw;
+    }
+  }
+
+  return { issues, retry };
+}
+
+/**
+ * Matrixify rows that retry only the mismatches. Tags are rebuilt from the fresh export
+ * (REPLACE keeps every tag that is there now), metafield cells keep the fresh value
+ * unless the metafield itself is retried.
+ */
+export function retryImportRows(retry, freshProducts, { mfCol, variantMfCol, tagSeparator = ",", extraCols = {} }) {
+  const rows = [];
+  for (const r of retry.values()) {
+    const fresh = freshProducts.get(r.productId);
+    const mfCell = r.asLowAs != null ? String(r.asLowAs) : (fresh.asLowAsCurrent ?? "");
+    const variantCells = (vid, x) => {
+      const fv = fresh.variants.find(v => v.variantId === vid);
+      return {
+        "Variant ID": vid,
+        "Variant Command": "UPDATE",
+        "Variant Price": String(x.price),
+        ...(variantMfCol ? { [variantMfCol]: x.asLowAs != null ? String(x.asLowAs) : (fv?.asLowAsCurrent ?? "") } : {}),
+      };
+    };
+
+    // First retried variant on the product row, like the only-changes import
+    const [first, ...others] = [...r.variants];
+    rows.push({
+      "ID": r.productId,
+      "Command": "UPDATE",
+      "Tags": r.tags ? r.tags.join(`${tagSeparator} `) : "",
+      "Tags Command": r.tags ? "REPLACE" : "",
+      "Status": r.status ?? "",
+      "Variant ID": "",
+      "Variant Command": "",
+      "Variant Price": "",
+      [mfCol]: mfCell,
+      ...(variantMfCol ? { [variantMfCol]: "" } : {}),
+      ...(first ? variantCells(...first) : {}),
+      ...extraCols,
+    });
+
+    for (const [vid, x] of others) {
+      rows.push({
+        "ID": r.productId,
+        "Command": "UPDATE",
+        "Tags": "",
+        "Tags Command": "",
+        "Status": "",
+        [mfCol]: mfCell,
+        ...variantCells(vid, x),
+        ...extraCols,
+      });
+    }
+  }
+  return rows;
+}
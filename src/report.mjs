@@ -0,0 +1,195 @@
+import { toNumberOrNull } from "./products.mjs";
+import { TYPE_TAGS, round2 } from "./pricing.mjs";
+import { changeKindsOf } from "./test-sampler.mjs";
+
+// ---------- HTML run report ----------
+// One self-contained file (inline CSS/JS, no external assets) for the sign-off before
+// the import. The product table is rendered in the browser from the embedded preview rows.
+
+const LIST_LIMIT = 200; // drafted / CNFDNT / warnings: rows shown per list
+const TOP_MOVES = 20;
+
+function esc(x) {
+  return String(x ?? "").replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+// JSON inside <script>: "</script>" and U+2028/2029 must not end or break the block
+function scriptJson(x) {
+  return JSON.stringify(x).replace(/</g, "\\u003c").replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+}
+
+function table(headers, rows) {
+  if (!rows.length) return "<p class=\"empty\">—</p>";
+  return `<table><thead><tr>${headers.map(([, label]) => `<th>${esc(label)}</th>`).join("")}</tr></thead><tbody>${
+    rows.map(r => `<tr>${headers.map(([key]) => `<td>${key === "handle" ? productLink(r) : esc(r[key])}</td>`).join("")}</tr>`).join("")
+  }</tbody></table>`;
+}
+
+const productLink = (r) => `<a href="#p-${esc(r.productId)}">${esc(r.handle || r.productId)}</a>`;
+
+function limited(rows) {
+  const more = rows.length - LIST_LIMIT;
+  return { rows: rows.slice(0, LIST_LIMIT), note: more > 0 ? `<p class="note">… und ${more} weitere</p>` : "" };
+}
+
+function section(id, title, body) {
+  return `<section id="${id}"><h2>${esc(title)}</h2>${body}</section>`;
+}
+
+// Price moves of products with a price change, in % of price_old
+function priceMoves(previewRows) {
+  const moves = [];
+  for (const r of previewRows) {
+    if (!r.doPrice || r.quarantine) continue;
+    const from = toNumberOrNull(r.price_old);
+    if (!(from > 0) || r.price_new === "") continue;
+    moves.push({ ...r, delta: round2(r.price_new - from), delta_pct: round2((r.price_new / from - 1) * 100) });
+  }
+  moves.sort((a, b) => b.delta_pct - a.delta_pct);
+  return {
+    up: moves.filter(x => x.delta_pct > 0).slice(0, TOP_MOVES),
+    down: moves.filter(x => x.delta_pct < 0).reverse().slice(0, TOP_MOVES),
+  };
+}
+
+/**
+ * Builds report.html. meta: { runAt, input, pricingProfile, pricingProfileHash, pricingMode },
+ * previewRows: preview.full rows, cnfdnt: preview rows of the CNFDNT-skipped products,
+ * changeItems: importable changes (without quarantine), warnings: parser warnings from readProducts.
+ */
+export function buildRunReport({ meta, previewRows, cnfdnt, changeItems, warnings }) {
+  const byType = Object.fromEntries([...TYPE_TAGS, "skip"].map(t => [t, 0]));
+  for (const r of previewRows) byType[r.type] = (byType[r.type] || 0) + 1;
+
+  const byKind = { draft: 0, tags: 0, price: 0, metafield: 0 };
+  for (const x of changeItems) for (const k of changeKindsOf(x)) byKind[k] = (byKind[k] ?? 0) + 1;
+  const quarantined = previewRows.filter(r => r.quarantine).length;
+  const outOfScope = previewRows.filter(r => r.out_of_scope).length;
+
+  const drafted = previewRows.filter(r => r.doDraft && !r.quarantine);
+  const reactivated = previewRows.filter(r => r.doReactivate && !r.quarantine);
+  const moves = priceMoves(previewRows);
+
+  const moveHeaders = [["handle", "Produkt"], ["type", "Typ"], ["price_old", "Preis alt"], ["price_new", "Preis neu"], ["delta", "Δ"], ["delta_pct", "Δ %"]];
+  const listHeaders = [["handle", "Produkt"], ["title", "Titel"], ["status_current", "Status"], ["M_used", "MSRP"], ["C_used", "Kosten"]];
+  const draftedList = limited(drafted);
+  const reactivatedList = limited(reactivated);
+  const cnfdntList = limited(cnfdnt);
+  const warningList = limited(warnings);
+
+  const counts = (obj) => table([["key", ""], ["n", "Produkte"]], Object.entries(obj).map(([key, n]) => ({ key, n })));
+
+  const body = [
+    `<h1>Matrixify Run ${esc(meta.runAt)}</h1>`,
+    `<p class="meta">Input: ${esc(meta.input)} · Profil: ${esc(meta.pricingProfile)}@${esc(meta.pricingProfileHash)} · Modus: ${esc(meta.pricingMode)} · Produkte: ${previewRows.length}</p>`,
+    `<div class="cards">${
+      section("by-type", "Produkte nach Typ", counts(byType))
+    }${
+      section("by-kind", "Änderungen nach Art", counts({ ...byKind, "Produkte im Import": changeItems.length, quarantine: quarantined, "außerhalb Scope": outOfScope }))
+    }</div>`,
+    section("price-up", `Größte Preiserhöhungen (Top ${TOP_MOVES})`, table(moveHeaders, moves.up)),
+    section("price-down", `Größte Preissenkungen (Top ${TOP_MOVES})`, table(moveHeaders, moves.down)),
+    section("drafted", `Auf Draft gesetzt (${drafted.length})`, table(listHeaders, draftedList.rows) + draftedList.note),
+    section("reactivated", `Wieder aktiviert (${reactivated.length})`, table(listHeaders, reactivatedList.rows) + reactivatedList.note),
+    section("cnfdnt", `CNFDNT übersprungen (${cnfdnt.length})`, table(listHeaders, cnfdntList.rows) + cnfdntList.note),
+    section("warnings", `Parser-Warnungen (${warnings.length})`,
+      table([["line", "Zeile"], ["productId", "Produkt-ID"], ["variantId", "Variant-ID"], ["message", "Warnung"]], warningList.rows) + warningList.note),
+    section("products", "Produkte", `
+      <div class="filters">
+        <input id="q" type="search" placeholder="Suche (Handle, Titel, ID, Tags)">
+        <select id="f-type"><option value="">Alle Typen</option>${[...TYPE_TAGS, "skip"].map(t => `<option>${t}</option>`).join("")}</select>
+        <label><input id="f-change" type="checkbox"> nur Änderungen</label>
+        <span id="count"></span>
+      </div>
+      <table id="products"><thead></thead><tbody></tbody></table>`),
+    `<dialog id="detail"><form method="dialog"><button>×</button></form><h3></h3><table></table></dialog>`,
+  ].join("\n");
+
+  return `<!doctype html>
+<html lang="de">
+<head>
+<meta charset="utf-8">
+<title>Matrixify Run ${esc(meta.runAt)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${body}
+<script id="rows" type="application/json">${scriptJson(previewRows)}</script>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+const STYLE = `
+body { font: 14px/1.4 system-ui, sans-serif; margin: 24px; color: #222; }
+h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 28px; }
+.meta, .note, .empty { color: #666; }
+.cards { display: flex; gap: 32px; flex-wrap: wrap; }
+table { border-collapse: collapse; }
+th, td { padding: 3px 8px; border-bottom: 1px solid #ddd; text-align: left; white-space: nowrap; }
+th { background: #f4f4f4; position: sticky; top: 0; }
+#products th { cursor: pointer; user-select: none; }
+#products th.asc::after { content: " ▲"; } #products th.desc::after { content: " ▼"; }
+.filters { display: flex; gap: 12px; align-items: center; margin-bottom: 8px; }
+#q { width: 320px; }
+dialog { max-width: 90vw; max-height: 80vh; } dialog form { float: right; }
+`;
+
+// Product table: columns = preview columns, click header to sort, search + filters,
+// #p-<productId> opens the full preview row of that product.
+const SCRIPT = `
+const rows = JSON.parse(document.getElementById("rows").textContent);
+const cols = ["handle", "title", "type", "status_current", "price_old", "price_new", "as_low_as_new", "tags_to_add", "tags_to_remove", "needsChange", "quarantine", "out_of_scope"];
+const table = document.getElementById("products");
+const q = document.getElementById("q"), fType = document.getElementById("f-type"), fChange = document.getElementById("f-change");
+let sortCol = null, sortDir = 1;
+
+const esc = (x) => String(x ?? "").replace(/[&<>"']/g, ch => "&#" + ch.charCodeAt(0) + ";");
+const cmp = (a, b) => {
+  const na = Number(a), nb = Number(b);
+  if (a !== "" && b !== "" && !isNaN(na) && !isNaN(nb)) return na - nb;
+  return String(a).localeCompare(String(b));
+};
+
+table.tHead.innerHTML = "<tr>" + cols.map(c => "<th data-col=\\"" + c + "\\">" + c + "</th>").join("") + "</tr>";
+table.tHead.addEventListener("click", (e) => {
+  const col = e.target.dataset.col;
+  if (!col) return;
+  sortDir = sortCol === col ? -sortDir : 1;
+  sortCol = col;
+  for (const th of table.tHead.rows[0].cells) th.className = th.dataset.col === col ? (sortDir > 0 ? "asc" : "desc") : "";
+  render();
+});
+
+function render() {
+  const needle = q.value.trim().toLowerCase();
+  let shown = rows.filter(r =>
+    (!fType.value || r.type === fType.value) &&
+    (!fChange.checked || r.needsChange) &&
+    (!needle || [r.productId, r.handle, r.title, r.tags_to_add, r.tags_to_remove].join(" ").toLowerCase().includes(needle))
+  );
+  if (sortCol) shown = shown.slice().sort((a, b) => sortDir * cmp(a[sortCol], b[sortCol]));
+  table.tBodies[0].innerHTML = shown.map(r => "<tr>" + cols.map(c =>
+    "<td>" + (c === "handle" ? "<a href=\\"#p-" + esc(r.productId) + "\\">" + esc(r.handle || r.productId) + "</a>" : esc(r[c])) + "</td>"
+  ).join("") + "</tr>").join("");
+  document.getElementById("count").textContent = shown.length + " / " + rows.length;
+}
+
+const byId = new Map(rows.map(r => [String(r.productId), r]));
+const dialog = document.getElementById("detail");
+function showDetail() {
+  const m = location.hash.match(/^#p-(.+)$/);
+  const r = m && byId.get(decodeURIComponent(m[1]));
+  if (!r) return;
+  dialog.querySelector("h3").textContent = (r.handle || r.productId) + " — " + r.title;
+  dialog.querySelector("table").innerHTML = Object.entries(r).map(([k, v]) => "<tr><th>" + esc(k) + "</th><td>" + esc(v) + "</td></tr>").join("");
+  if (!dialog.open) dialog.showModal();
+}
+dialog.addEventListener("close", () => history.replaceState(null, "", location.pathname + location.search));
+
+for (const el of [q, fType, fChange]) el.addEventListener("input", render);
+window.addEventListener("hashchange", showDetail);
+render();
+showDetail();
+`;
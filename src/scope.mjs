@@ -0,0 +1,170 @@
+import fs from "node:fs";
+import { normTag, normHeader, stripBom } from "./products.mjs";
+
+// ---------- Run scope ----------
+// Include filters must all match (a list matches if any entry matches), a product
+// matching any exclude filter is out. Comparisons are case-insensitive.
+
+export const SCOPE_FILTERS = ["vendor", "productType", "collection", "tags", "status", "ids"];
+
+// Export columns a filter needs (at least one of them; read by readProducts)
+export const SCOPE_COLUMNS = {
+  vendor: ["Vendor"],
+  productType: ["Type"],
+  collection: ["Collection", "Custom Collections", "Smart Collections"],
+};
+
+// ---------- Tag expressions ----------
+// preloved AND NOT sale, (used OR "low-margin") AND NOT cnfdnt
+// Words between operators form one tag ("preowned / defect"); quotes keep keywords literal.
+const KEYWORDS = ["AND", "OR", "NOT"];
+
+function tokenize(expr) {
+  const tokens = [];
+  const re = /\s*(?:(\()|(\))|"([^"]*)"|([^\s()"]+))/gy;
+  let m;
+  let pos = 0;
+  while (pos < expr.length && (m = re.exec(expr))) {
+    pos = re.lastIndex;
+    if (m[1]) tokens.push({ op: "(" });
+    else if (m[2]) tokens.push({ op: ")" });
+    else if (m[3] != null) tokens.push({ tag: m[3] });
+    else if (KEYWORDS.includes(m[4].toUpperCase())) tokens.push({ op: m[4].toUpperCase() });
+    else if (tokens.length && tokens[tokens.length - 1].word) tokens[tokens.length - 1].tag += ` ${m[4]}`;
+    else tokens.push({ tag: m[4], word: true });
+  }
+  if (expr.slice(pos).trim()) throw new Error(`Tag-Ausdruck: ungültiges Zeichen bei "${expr.slice(pos).trim()}"`);
+  return tokens;
+}
+
+/**
+ * Parses a tag expression (AND, OR, NOT, parentheses; NOT > AND > OR).
+ * Returns a predicate tagsArr => boolean. Throws on syntax errors.
+ */
+export function parseTagExpression(expr) {
+  const tokens = tokenize(String(expr ?? ""));
+  let i = 0;
+  const peek = () => tokens[i]?.op;
+  const fail = (msg) => { throw new Error(`Tag-Ausdruck "${expr}": ${msg}`); };
+
+  function primary() {
+    const t = tokens[i++];
+    if (!t) fail("unerwartetes Ende");
+    if (t.op === "NOT") {
+      const inner = primary();
+      return tags => !inner(tags);
+    }
+    if (t.op === "(") {
+      const inner = or();
+      if (tokens[i++]?.op !== ")") fail('")" fehlt');
+      return inner;
+    }
+    if (t.op) fail(`unerwartetes "${t.op}"`);
+    const tag = normTag(t.tag);
+    return tags => tags.has(tag);
+  }
+  function and() {
+    let left = primary();
+    while (peek() === "AND") {
+      i++;
+      const a = left, b = primary();
+      left = tags => a(tags) && b(tags);
+    }
+    return left;
+  }
+  function or() {
+    let left = and();
+    while (peek() === "OR") {
+      i++;
+      const a = left, b = and();
+      left = tags => a(tags) || b(tags);
+    }
+    return left;
+  }
+
+  if (!tokens.length) fail("leer");
+  const test = or();
+  if (i < tokens.length) fail(`unerwartetes "${tokens[i].op ?? tokens[i].tag}"`);
+  return tagsArr => test(new Set((tagsArr || []).map(normTag)));
+}
+
+// ---------- ID / handle lists ----------
+// One product ID or handle per line (or comma-separated); "#" starts a comment.
+export function loadIdList(filePath) {
+  if (!fs.existsSync(filePath)) throw new Error(`ID-Liste nicht gefunden: ${filePath}`);
+  const out = new Set();
+  for (const line of stripBom(fs.readFileSync(filePath, "utf8")).split(/\r?\n/)) {
+    for (const x of line.replace(/#.*/, "").split(",")) {
+      const v = normTag(x);
+      if (v) out.add(v);
+    }
+  }
+  return out;
+}
+
+// ---------- Scope ----------
+function matcher(filter, value) {
+  const list = (xs) => new Set(xs.map(normTag));
+  switch (filter) {
+    case "vendor": {
+      const s = list(value);
+      return p => s.has(normTag(p.vendor));
+    }
+    case "productType": {
+      const s = list(value);
+      return p => s.has(normTag(p.productType));
+    }
+    case "collection": {
+      const s = list(value);
+      return p => p.collections.some(c => s.has(normTag(c)));
+    }
+    case "status": {
+      const s = list(value);
+      return p => s.has(normTag(p.status));
+    }
+    case "tags": {
+      const test = parseTagExpression(value);
+      return p => test(p.tagsArr);
+    }
+    case "ids": {
+      const s = loadIdList(value);
+      return p => s.has(normTag(p.productId)) || s.has(normTag(p.handle));
+    }
+  }
+  throw new Error(`Unbekannter Scope-Filter: ${filter}`);
+}
+
+/**
+ * Builds the scope of a run from { include: { filter: value }, exclude: { filter: value } }
+ * (lists for vendor/productType/collection/status, an expression for tags, a file for ids).
+ * FAIL-FAST when a filter needs an export column that is missing.
+ * Returns { active, outOfScope(p) } — outOfScope returns "" (in scope) or the reason,
+ * e.g. "vendor" (include filter not matched) or "exclude:tags".
+ */
+export function buildScope(spec, header) {
+  const headerNorm = new Set((header || []).map(normHeader));
+  const rules = [];
+  for (const kind of ["include", "exclude"]) {
+    for (const filter of SCOPE_FILTERS) {
+      const value = spec?.[kind]?.[filter];
+      if (value == null) continue;
+      const cols = SCOPE_COLUMNS[filter];
+      if (cols && !cols.some(c => headerNorm.has(normHeader(c)))) {
+        throw new Error(`FAIL-FAST: Scope-Filter "${filter}" braucht die Spalte ${cols.map(c => `"${c}"`).join(" oder ")} im Export.`);
+      }
+      rules.push({ kind, filter, test: matcher(filter, value) });
+    }
+  }
+
+  return {
+    active: rules.length > 0,
+    outOfScope(p) {
+      for (const r of rules) {
+        const hit = r.test(p);
+        if (r.kind === "include" && !hit) return r.filter;
+        if (r.kind === "exclude" && hit) return `exclude:${r.filter}`;
+      }
+      return "";
+    },
+  };
+}
@@ -0,0 +1,228 @@
+import fs from "node:fs";
+import path from "node:path";
+
+export const DEFAULT_API_VERSION = "2025-01";
+
+const USER_ERRORS = "userErrors { field message }";
+
+// One bulk file per mutation (bulkOperationRunMutation runs a single mutation per JSONL file).
+// Listed in apply order: prices and metafields first, drafting last.
+export const MUTATIONS = {
+  productVariantsBulkUpdate: { args: { productId: "ID!", variants: "[ProductVariantsBulkInput!]!" } },
+  metafieldsSet: { args: { metafields: "[MetafieldsSetInput!]!" } },
+  tagsRemove: { args: { id: "ID!", tags: "[String!]!" } },
+  tagsAdd: { args: { id: "ID!", tags: "[String!]!" } },
+  productUpdate: { args: { product: "ProductUpdateInput!" } },
+};
+
+// Shopify caps metafieldsSet at 25 metafields per call
+const METAFIELDS_PER_CALL = 25;
+
+const productGid = (id) => `gid://shopify/Product/${id}`;
+const variantGid = (id) => `gid://shopify/ProductVariant/${id}`;
+
+export function mutationDocument(name) {
+  const { args } = MUTATIONS[name];
+  const defs = Object.entries(args).map(([k, t]) => `$${k}: ${t}`).join(", ");
+  const call = Object.keys(args).map(k => `${k}: $${k}`).join(", ");
+  return `mutation ${name}(${defs}) { ${name}(${call}) { ${USER_ERRORS} } }`;
+}
+
+/**
+ * Builds the bulk-operation variables per mutation from the run's change items
+ * (same change set as matrixify.import.only-changes.csv).
+ */
+export function buildBulkOperations(changeItems) {
+  const ops = Object.fromEntries(Object.keys(MUTATIONS).map(k => [k, []]));
+  const metafields = [];
+
+  for (const x of changeItems) {
+    if (x.doPrice) {
+      ops.productVariantsBulkUpdate.push({
+        productId: productGid(x.productId),
+        variants: x.variantsToUpdate.map(vid => ({ id: variantGid(vid), price: String(x.priceByVariant.get(vid)) })),
+      });
+    }
+
+    if (x.doTags) {
+      if (x.tagsToRemove.length) ops.tagsRemove.push({ id: productGid(x.productId), tags: x.tagsToRemove });
+      if (x.tagsToAdd.length) ops.tagsAdd.push({ id: productGid(x.productId), tags: x.tagsToAdd });
+    }
+
+    if (x.doMetafield) {
+      metafields.push({
+        ownerId: productGid(x.productId),
+        namespace: "spotted",
+        key: "as_low_as",
+        type: "number_decimal",
+        value: String(x.desiredAsLowAs),
+      });
+    }
+
+    for (const vid of x.variantMfToUpdate ?? []) {
+      metafields.push({
+        ownerId: variantGid(vid),
+        namespace: "spotted",
+        key: "as_low_as",
+        type: "number_decimal",
+        value: String(x.asLowAsByVariant.get(vid)),
+      });
+    }
+
+    if (x.doDraft) ops.productUpdate.push({ product: { id: productGid(x.productId), status: "DRAFT" } });
+    if (x.doReactivate) ops.productUpdate.push({ product: { id: productGid(x.productId), status: "ACTIVE" } });
+  }
+
+  for (let i = 0; i < metafields.length; i += METAFIELDS_PER_CALL) {
+    ops.metafieldsSet.push({ metafields: metafields.slice(i, i + METAFIELDS_PER_CALL) });
+  }
+
+  return ops;
+}
+
+// Writes <name>.jsonl (one variables object per line) + <name>.graphql per mutation, and
+// manifest.json with the pricing profile per file (the .jsonl lines are sent as-is, no room for it).
+export function writeBulkFiles(dir, ops, profile) {
+  fs.mkdirSync(dir, { recursive: true });
+  const written = [];
+  const files = {};
+  for (const [name, lines] of Object.entries(ops)) {
+    if (!lines.length) continue;
+    const jsonlPath = path.join(dir, `${name}.jsonl`);
+    const docPath = path.join(dir, `${name}.graphql`);
+    fs.writeFileSync(jsonlPath, lines.map(x => JSON.stringify(x)).join("\n") + "\n");
+    fs.writeFileSync(docPath, mutationDocument(name) + "\n");
+    files[`${name}.jsonl`] = { operations: lines.length, pricingProfile: profile.name, pricingProfileHash: profile.hash };
+    written.push(jsonlPath, docPath);
+  }
+  const manifestPath = path.join(dir, "manifest.json");
+  fs.writeFileSync(manifestPath, JSON.stringify({ files }, null, 2) + "\n");
+  written.push(manifestPath);
+  return written;
+}
+
+// ---------- Apply ----------
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Several operations of one mutation in a single request, via aliases (op0, op1, ...).
+function batchRequest(name, batch) {
+  const { args } = MUTATIONS[name];
+  const defs = [];
+  const fields = [];
+  const variables = {};
+  batch.forEach((vars, i) => {
+    const call = [];
+    for (const [k, t] of Object.entries(args)) {
+      defs.push(`$${k}${i}: ${t}`);
+      call.push(`${k}: $${k}${i}`);
+      variables[`${k}${i}`] = vars[k];
+    }
+    fields.push(`op${i}: ${name}(${call.join(", ")}) { ${USER_ERRORS} }`);
+  });
+  return { query: `mutation Batch(${defs.join(", ")}) { ${fields.join(" ")} }`, variables };
+}
+
+function isThrottled(res, body) {
+  return res.status === 429 || (body?.errors ?? []).some(e => e?.extensions?.code === "THROTTLED");
+}
+
+// Wait until the cost bucket has refilled enough for the throttled request.
+function throttleDelayMs(body, attempt) {
+  const cost = body?.extensions?.cost;
+  const status = cost?.throttleStatus;
+  if (status?.restoreRate > 0) {
+    const missing = (cost.requestedQueryCost ?? 0) - (status.currentlyAvailable ?? 0);
+    return Math.max(1000, Math.ceil((missing / status.restoreRate) * 1000));
+  }
+  return 1000 * 2 ** attempt;
+}
+
+async function postWithBackoff(endpoint, headers, payload, { maxRetries, fetchImpl }) {
+  for (let attempt = 0; ; attempt++) {
+    let res;
+    let body = null;
+    try {
+      res = await fetchImpl(endpoint, { method: "POST", headers, body: JSON.stringify(payload) });
+      body = await res.json().catch(() => null);
+    } catch (err) {
+      if (attempt >= maxRetries) throw err;
+      await sleep(1000 * 2 ** attempt);
+      continue;
+    }
+
+    const retryable = isThrottled(res, body) || res.status >= 500;
+    if (!retryable) return { res, body };
+    if (attempt >= maxRetries) return { res, body };
+
+    const retryAfter = Number(res.headers.get("retry-after"));
+    await sleep(retryAfter > 0 ? retryAfter * 1000 : throttleDelayMs(body, attempt));
+  }
+}
+
+/**
+ * Sends the bulk files of `dir` to a GraphQL endpoint, `batchSize` operations per request.
+ * Retries throttled (HTTP 429 / THROTTLED) and 5xx responses with backoff and writes one
+ * JSON line per operation to `logPath`; progress goes to `log`. Returns { ok, failed }.
+ */
+export async function applyBulkFiles(dir, {
+  endpoint,
+  token,
+  batchSize = 10,
+  maxRetries = 5,
+  logPath,
+  fetchImpl = fetch,
+  log = console.log,
+}) {
+  const headers = { "Content-Type": "application/json" };
+  if (token) headers["X-Shopify-Access-Token"] = token;
+
+  const opLog = fs.createWriteStream(logPath);
+  const stats = { ok: 0, failed: 0 };
+
+  try {
+    for (const name of Object.keys(MUTATIONS)) {
+      const jsonlPath = path.join(dir, `${name}.jsonl`);
+      if (!fs.existsSync(jsonlPath)) continue;
+
+      const ops = fs.readFileSync(jsonlPath, "utf8").split("\n").filter(Boolean).map(l => JSON.parse(l));
+      log(`→ ${name}: ${ops.length} operations`);
+
+      for (let i = 0; i < ops.length; i += batchSize) {
+        const batch = ops.slice(i, i + batchSize);
+        let res = null;
+        let body = null;
+        let error = null;
+        try {
+          ({ res, body } = await postWithBackoff(endpoint, headers, batchRequest(name, batch), { maxRetries, fetchImpl }));
+        } catch (err) {
+          error = err.message;
+        }
+
+        const requestErrors = error
+          ? [error]
+          : (!res.ok || body?.errors?.length)
+            ? (body?.errors ?? []).map(e => e.message).concat(res.ok ? [] : [`HTTP ${res.status}`])
+            : [];
+
+        batch.forEach((vars, j) => {
+          const userErrors = body?.data?.[`op${j}`]?.userErrors ?? [];
+          const ok = !requestErrors.length && body?.data?.[`op${j}`] != null && !userErrors.length;
+          if (ok) stats.ok++; else stats.failed++;
+          opLog.write(JSON.stringify({
+            ts: new Date().toISOString(),
+            mutation: name,
+            index: i + j,
+            ok,
+            variables: vars,
+            userErrors,
+            errors: requestErrors,
+          }) + "\n");
+        });
+      }
+    }
+  } finally {
+    await new Promise(r => opLog.end(r));
+  }
+
+  return stats;
+}
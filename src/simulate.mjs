@@ -0,0 +1,122 @@
+import { planProduct } from "./product-plan.mjs";
+import { toNumberOrNull } from "./products.mjs";
+import { TYPE_TAGS, round2 } from "./pricing.mjs";
+import { typeTagOf } from "./tag-rules.mjs";
+
+// ---------- Scenario simulator ----------
+// Runs the parsed products through planProduct() once per scenario profile (same
+// classification and curves as the run) and compares the outcomes. No import files.
+
+const TYPES = [...TYPE_TAGS, "skip"];
+
+/**
+ * Outcome per product for one scenario: Map productId -> { handle, typeOld, type, priceOld, price, asLowAs, quarantine }
+ * (base variant price, as in the preview; typeOld: type tag in the export under the tag rules, "untagged" without one).
+ */
+export function simulateScenario(products, ctx) {
+  const out = new Map();
+  for (const p of products.values()) {
+    const r = planProduct(p, ctx);
+    out.set(p.productId, {
+      handle: p.handle,
+      typeOld: typeTagOf(p.tagsArr, ctx.tagRules) ?? "untagged",
+      type: r.type,
+      priceOld: r.preview.price_old === "" ? null : round2(toNumberOrNull(r.preview.price_old)),
+      price: r.preview.price_new === "" ? null : r.preview.price_new,
+      asLowAs: r.preview.as_low_as_new === "" ? null : r.preview.as_low_as_new,
+      quarantine: r.quarantineRules.length > 0,
+    });
+  }
+  return out;
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return "";
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return round2(sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo));
+}
+
+/**
+ * Compares a scenario with a reference: the baseline scenario, or (reference = null) the type
+ * tags and prices of the export. Against the export a skipped product is no type change (the run
+ * leaves its tags alone). Returns { summary, transitions, movers } for the report files.
+ */
+export function compareScenario(name, profile, outcome, reference, { top = 20 } = {}) {
+  const counts = Object.fromEntries(TYPES.map(t => [t, 0]));
+  const transitions = new Map();
+  const deltas = [];
+  const asLowAs = [];
+  let quarantined = 0;
+
+  for (const [id, x] of outcome) {
+    counts[x.type] = (counts[x.type] || 0) + 1;
+    if (x.quarantine) quarantined++;
+    if (x.asLowAs != null) asLowAs.push(x.asLowAs);
+
+    const ref = reference?.get(id);
+    const typeBefore = reference ? ref?.type : (x.type === "skip" ? null : x.typeOld);
+    if (typeBefore != null && typeBefore !== x.type) {
+      const key = `${typeBefore}->${x.type}`;
+      transitions.set(key, (transitions.get(key) || 0) + 1);
+    }
+
+    const before = reference ? ref?.price : x.priceOld;
+    if (x.price != null && before != null) {
+      deltas.push({ id, x, typeBefore: reference ? ref?.type : x.typeOld, before, delta: round2(x.price - before) });
+    }
+  }
+
+  const sortedDeltas = deltas.map(d => d.delta).sort((a, b) => a - b);
+  const sortedAsLowAs = asLowAs.sort((a, b) => a - b);
+  const changed = deltas.filter(d => d.delta !== 0);
+
+  const summary = {
+    scenario: name,
+    compared_to: reference ? "baseline" : "export",
+    profile: profile.extends ?? profile.name,
+    profile_hash: profile.hash,
+    overrides: (profile.overrides ?? []).map(o => `${o.key}=${o.value}`).join(" "),
+    products: outcome.size,
+    ...Object.fromEntries(TYPES.map(t => [`type_${t}`, counts[t]])),
+    type_changes: [...transitions.values()].reduce((a, b) => a + b, 0),
+    transitions: [...transitions.entries()].map(([k, v]) => `${k}:${v}`).join(" "),
+    price_changed: changed.length,
+    price_change_median: quantile(sortedDeltas, 0.5),
+    price_change_median_changed: quantile(changed.map(d => d.delta).sort((a, b) => a - b), 0.5),
+    price_change_total: round2(sortedDeltas.reduce((a, b) => a + b, 0)),
+    as_low_as_count: sortedAsLowAs.length,
+    as_low_as_min: sortedAsLowAs.length ? sortedAsLowAs[0] : "",
+    as_low_as_p25: quantile(sortedAsLowAs, 0.25),
+    as_low_as_median: quantile(sortedAsLowAs, 0.5),
+    as_low_as_p75: quantile(sortedAsLowAs, 0.75),
+    as_low_as_max: sortedAsLowAs.length ? sortedAsLowAs.at(-1) : "",
+    quarantined,
+  };
+
+  // Profile the scenario ran with (base profile for inline variants, as in the summary)
+  const profileCols = { pricing_profile: profile.extends ?? profile.name, pricing_profile_hash: profile.hash };
+  const transitionRows = [...transitions.entries()].map(([k, products]) => {
+    const [from, to] = k.split("->");
+    return { scenario: name, from, to, products, ...profileCols };
+  });
+
+  const movers = changed
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    .slice(0, top)
+    .map(d => ({
+      scenario: name,
+      productId: d.id,
+      handle: d.x.handle,
+      type_before: d.typeBefore ?? "",
+      type: d.x.type,
+      price_before: d.before,
+      price: d.x.price,
+      delta: d.delta,
+      delta_pct: d.before > 0 ? round2((d.delta / d.before) * 100) : "",
+      ...profileCols,
+    }));
+
+  return { summary, transitions: transitionRows, movers };
+}
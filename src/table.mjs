@@ -0,0 +1,7 @@
+import { readCsv } from "./csv.mjs";
+import { readXlsx, isXlsxPath } from "./xlsx.mjs";
+
+// Matrixify export/import reader by file extension: .xlsx ("Products" sheet) or CSV.
+export function readTable(filePath) {
+  return isXlsxPath(filePath) ? readXlsx(filePath) : readCsv(filePath);
+}
@@ -0,0 +1,184 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { normTag } from "./products.mjs";
+import { TYPE_TAGS } from "./pricing.mjs";
+
+export const DEFAULT_TAG_RULES_FILE = fileURLToPath(new URL("../config/tag-rules.json", import.meta.url));
+
+// ---------- Tag rules ----------
+// {
+//   "separator": ",",                      split of the Tags cell (written back as "<separator> ")
+//   "skip": ["cnfdnt"],                    any of these tags: product is ignored completely
+//   "force": [{ "tags": [...], "type": "used" }],   first matching rule sets the type
+//   "types": { "<type>": { "tag": "pricing:standard", "aliases": [], "add": [], "remove": [] } },
+//   "draftTag": "auto-drafted:pricing"     optional: marks products the run drafted (null/missing = no marker)
+// }
+// A type writes its tag plus its "add" tags and removes its "remove" tags, the aliases
+// (older names of its tag) and the tags of every other type. Tags no rule names are never touched.
+// Only products carrying the draft tag are reactivated once M and C are valid again.
+
+const isPlainObject = (x) => x != null && typeof x === "object" && !Array.isArray(x);
+const TYPE_KEYS = ["tag", "aliases", "add", "remove"];
+
+function checkTagList(errors, where, xs, separator) {
+  if (!Array.isArray(xs) || xs.some(x => typeof x !== "string" || !x.trim())) {
+    errors.push(`${where}: muss eine Liste nicht-leerer Tags sein`);
+    return;
+  }
+  for (const x of xs) {
+    if (x.includes(separator)) errors.push(`${where}: Tag "${x}" enthält das Trennzeichen "${separator}"`);
+  }
+}
+
+export function validateTagRules(doc) {
+  const errors = [];
+  if (!isPlainObject(doc) || doc.version !== 1) return ['erwartet { "version": 1, ... }'];
+
+  for (const key of Object.keys(doc)) {
+    if (!["version", "separator", "skip", "force", "types", "draftTag"].includes(key)) errors.push(`unbekannter Schlüssel "${key}"`);
+  }
+  const separator = doc.separator;
+  if (typeof separator !== "string" || !separator.trim()) {
+    errors.push('separator: muss ein nicht-leerer String sein');
+    return errors;
+  }
+
+  checkTagList(errors, "skip", doc.skip, separator);
+  if (doc.draftTag != null) checkTagList(errors, "draftTag", [doc.draftTag], separator);
+
+  if (!Array.isArray(doc.force)) errors.push("force: muss eine Liste sein");
+  else doc.force.forEach((rule, i) => {
+    if (!isPlainObject(rule)) return errors.push(`force[${i}]: muss ein Objekt sein`);
+    for (const key of Object.keys(rule)) {
+      if (!["tags", "type"].includes(key)) errors.push(`force[${i}]: unbekannter Schlüssel "${key}"`);
+    }
+    checkTagList(errors, `force[${i}].tags`, rule.tags, separator);
+    if (!TYPE_TAGS.includes(rule.type)) errors.push(`force[${i}].type: muss einer von ${TYPE_TAGS.join(", ")} sein`);
+  });
+
+  if (!isPlainObject(doc.types)) {
+    errors.push("types: muss ein Objekt sein");
+    return errors;
+  }
+  for (const type of Object.keys(doc.types)) {
+    if (!TYPE_TAGS.includes(type)) errors.push(`types: unbekannter Typ "${type}"`);
+  }
+  for (const type of TYPE_TAGS) {
+    const t = doc.types[type];
+    if (!isPlainObject(t)) {
+      errors.push(`types.${type}: fehlt`);
+      continue;
+    }
+    for (const key of Object.keys(t)) {
+      if (!TYPE_KEYS.includes(key)) errors.push(`types.${type}: unbekannter Schlüssel "${key}"`);
+    }
+    checkTagList(errors, `types.${type}.tag`, [t.tag], separator);
+    for (const key of ["aliases", "add", "remove"]) checkTagList(errors, `types.${type}.${key}`, t[key] ?? [], separator);
+  }
+  if (errors.length) return errors;
+
+  // A tag one type writes must not be removed by the same type or written by another type
+  const writers = new Map();
+  for (const type of TYPE_TAGS) {
+    const t = doc.types[type];
+    for (const tag of [t.tag, ...(t.add ?? [])].map(normTag)) {
+      if (writers.has(tag) && writers.get(tag) !== type) errors.push(`Tag "${tag}" wird von "${writers.get(tag)}" und "${type}" gesetzt`);
+      writers.set(tag, type);
+      if ([...(t.aliases ?? []), ...(t.remove ?? [])].map(normTag).includes(tag)) {
+        errors.push(`types.${type}: Tag "${tag}" wird gesetzt und entfernt`);
+      }
+    }
+  }
+
+  // The draft tag belongs to the draft logic alone
+  if (doc.draftTag != null) {
+    const draftTag = normTag(doc.draftTag);
+    const named = [
+      ...doc.skip,
+      ...doc.force.flatMap(r => r.tags),
+      ...TYPE_TAGS.flatMap(type => {
+        const t = doc.types[type];
+        return [t.tag, ...(t.aliases ?? []), ...(t.add ?? []), ...(t.remove ?? [])];
+      }),
+    ].map(normTag);
+    if (named.includes(draftTag)) errors.push(`draftTag: "${draftTag}" wird schon von skip, force oder types verwendet`);
+  }
+  return errors;
+}
+
+/**
+ * Loads the tag rules. Returns { file, hash, separator, skip, force, types, draftTag } with the
+ * per-type want (tags to set) / unwanted (owned tags to remove) lists precomputed.
+ * draftTag: as configured, or null.
+ */
+export function loadTagRules(filePath = DEFAULT_TAG_RULES_FILE) {
+  const abs = path.resolve(filePath);
+  if (!fs.existsSync(abs)) throw new Error(`Tag-Regel-Datei nicht gefunden: ${abs}`);
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(abs, "utf8"));
+  } catch (err) {
+    throw new Error(`Tag-Regel-Datei ist kein gültiges JSON: ${abs}\n${err.message}`);
+  }
+  const errors = validateTagRules(doc);
+  if (errors.length) throw new Error(`Tag-Regeln ungültig (${abs}):\n- ${errors.join("\n- ")}`);
+
+  // Every tag a type writes or names as alias belongs to the rules (removed for the other types)
+  const typeOwned = TYPE_TAGS.flatMap(type => {
+    const t = doc.types[type];
+    return [t.tag, ...(t.aliases ?? []), ...(t.add ?? [])];
+  });
+
+  const types = Object.fromEntries(TYPE_TAGS.map(type => {
+    const t = doc.types[type];
+    const want = [t.tag, ...(t.add ?? [])];
+    const wantLower = want.map(normTag);
+    const unwanted = [...new Set([...typeOwned, ...(t.remove ?? [])].map(normTag))].filter(x => !wantLower.includes(x));
+    return [type, { tag: t.tag, aliases: (t.aliases ?? []).map(normTag), want, unwanted }];
+  }));
+
+  return {
+    file: abs,
+    hash: crypto.createHash("sha256").update(JSON.stringify(doc)).digest("hex").slice(0, 12),
+    separator: doc.separator,
+    skip: doc.skip.map(normTag),
+    force: doc.force.map(r => ({ tags: r.tags.map(normTag), type: r.type })),
+    types,
+    draftTag: doc.draftTag ?? null,
+  };
+}
+
+// First skip tag on the product (lower-case), or null
+export function skipTagOf(tagsArr, rules) {
+  const lower = (tagsArr || []).map(normTag);
+  return rules.skip.find(t => lower.includes(t)) ?? null;
+}
+
+// Type forced by the first matching force rule: { type, tags } (the matching tags), or null
+export function forcedTypeOf(tagsArr, rules) {
+  const lower = (tagsArr || []).map(normTag);
+  for (const rule of rules.force) {
+    const tags = rule.tags.filter(t => lower.includes(t));
+    if (tags.length) return { type: rule.type, tags };
+  }
+  return null;
+}
+
+// Type the product is tagged with (type tag or alias, first type in TYPE_TAGS order), or null
+export function typeTagOf(tagsArr, rules) {
+  const lower = (tagsArr || []).map(normTag);
+  return TYPE_TAGS.find(type => [normTag(rules.types[type].tag), ...rules.types[type].aliases].some(t => lower.includes(t))) ?? null;
+}
+
+// Does the product carry the draft tag (drafted by an earlier run)?
+export function hasDraftTag(tagsArr, rules) {
+  return !!rules.draftTag && (tagsArr || []).some(t => normTag(t) === normTag(rules.draftTag));
+}
+
+// Tags cell as written to the import files
+export function joinTags(tagsArr, rules) {
+  return tagsArr.join(`${rules.separator} `);
+}
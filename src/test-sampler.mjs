@@ -0,0 +1,135 @@
+import fs from "node:fs";
+import crypto from "node:crypto";
+import { readTable } from "./table.mjs";
+
+// Edge cases every test batch should contain at least once (if the run has one).
+const COVERAGE = [
+  { name: "type:standard", test: x => x.type === "standard" },
+  { name: "type:low-margin", test: x => x.type === "low-margin" },
+  { name: "type:used", test: x => x.type === "used" },
+  { name: "draft", test: x => x.doDraft },
+  { name: "reactivate", test: x => x.doReactivate },
+  { name: "multi-variant", test: x => x.variantCount > 1 },
+  { name: "price", test: x => x.doPrice },
+  { name: "tags-only", test: x => x.doTags && !x.doPrice && !x.doMetafield },
+  { name: "metafield-only", test: x => x.doMetafield && !x.doPrice && !x.doTags },
+];
+
+export function changeKindsOf(item) {
+  const kinds = [];
+  if (item.doDraft) kinds.push("draft");
+  if (item.doReactivate) kinds.push("reactivate");
+  if (item.doTags) kinds.push("tags");
+  if (item.doPrice) kinds.push("price");
+  if (item.doMetafield) kinds.push("metafield");
+  if (item.doMarketPrice || item.doMarketMetafield) kinds.push("market");
+  return kinds;
+}
+
+function variantBucket(n) {
+  return n > 1 ? "multi-variant" : "single-variant";
+}
+
+// Stratum inside a type: change kinds + variant count bucket
+function stratumOf(item) {
+  return `${changeKindsOf(item).join("+") || "none"}/${variantBucket(item.variantCount)}`;
+}
+
+// Seeded rank: same seed + same product => same position, independent of export order.
+function rankOf(seed, productId) {
+  return crypto.createHash("sha256").update(`${seed}:${productId}`).digest("hex");
+}
+
+/**
+ * Picks a deterministic test batch from the change items.
+ * 1. coverage: one product per edge case in COVERAGE (drafts, tag-only, multi-variant, ...)
+ * 2. quotas: fills each type up to its quota, round-robin over the strata of that type
+ * Returns [{ item, reasons }] in pick order, at most `count` entries.
+ */
+export function sampleTestBatch(changeItems, { count, quotas, seed, excludeIds = new Set() }) {
+  const pool = changeItems
+    .filter(x => !excludeIds.has(x.productId))
+    .map(item => ({ item, rank: rankOf(seed, item.productId) }))
+    .sort((a, b) => (a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0))
+    .map(x => x.item);
+
+  const picked = new Map(); // productId -> { item, reasons }
+  const typeCount = {};
+  const add = (item, reason) => {
+    if (!picked.has(item.productId)) {
+      if (picked.size >= count) return false;
+      picked.set(item.productId, { item, reasons: [] });
+      typeCount[item.type] = (typeCount[item.type] || 0) + 1;
+    }
+    picked.get(item.productId).reasons.push(reason);
+    return true;
+  };
+
+  for (const c of COVERAGE) {
+    const already = [...picked.values()].find(x => c.test(x.item));
+    if (already) continue;
+    const item = pool.find(c.test);
+    if (item) add(item, `coverage:${c.name}`);
+  }
+
+  for (const [type, quota] of Object.entries(quotas)) {
+    const strata = new Map();
+    for (const item of pool) {
+      if (item.type !== type || picked.has(item.productId)) continue;
+      const key = stratumOf(item);
+      if (!strata.has(key)) strata.set(key, []);
+      strata.get(key).push(item);
+    }
+
+    const queues = [...strata.entries()].sort(([a], [b]) => a.localeCompare(b));
+    while ((typeCount[type] || 0) < quota && queues.some(([, q]) => q.length)) {
+      for (const [key, q] of queues) {
+        if ((typeCount[type] || 0) >= quota || !q.length) continue;
+        if (!add(q.shift(), `quota:${type} stratum:${key}`)) return [...picked.values()];
+      }
+    }
+  }
+
+  return [...picked.values()];
+}
+
+export function describeSample(entry) {
+  const { item, reasons } = entry;
+  return {
+    productId: item.productId,
+    handle: item.handle,
+    type: item.type,
+    changeKinds: changeKindsOf(item),
+    variantCount: item.variantCount,
+    reasons,
+  };
+}
+
+/**
+ * Product IDs of earlier test batches: a manifest (.json) written by this sampler
+ * or a test import file, CSV or .xlsx (its "ID" column).
+ */
+export async function loadExcludedIds(filePaths) {
+  const ids = new Set();
+  for (const filePath of filePaths) {
+    if (!fs.existsSync(filePath)) throw new Error(`Test-Ausschlussdatei nicht gefunden: ${filePath}`);
+
+    if (filePath.toLowerCase().endsWith(".json")) {
+      const manifest = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      for (const x of manifest.products ?? []) ids.add(String(x.productId));
+      continue;
+    }
+
+    let idCol = -1;
+    for await (const { cells } of readTable(filePath).records) {
+      if (idCol < 0) {
+        idCol = cells.findIndex(h => h.replace(/^\uFEFF/, "").trim().toLowerCase() === "id");
+        if (idCol < 0) throw new Error(`Test-Ausschlussdatei hat keine "ID"-Spalte: ${filePath}`);
+        continue;
+      }
+      const id = (cells[idCol] ?? "").trim();
+      if (id) ids.add(id);
+    }
+  }
+  return ids;
+}
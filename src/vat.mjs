@@ -0,0 +1,114 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { normTag } from "./products.mjs";
+
+// ---------- VAT model ----------
+// {
+//   "version": 1,
+//   "default": { "rate": 0.19 },                                  scheme "standard" unless given
+//   "rules": [
+//     { "tags": ["preowned / defect", "preloved"], "scheme": "margin" },   rate of "default"
+//     { "productType": ["Books"], "rate": 0.07 },
+//     { "vendor": ["Acme Export"], "rate": 0 }
+//   ]
+// }
+// The first rule whose matchers all match sets the product's VAT (each matcher: any of the listed
+// values, case-insensitive); no match = "default". Prices and costs in the export are gross:
+// - standard: price and cost contain the rate (input VAT on the cost is reclaimed)
+// - margin:   margin scheme for used goods, VAT only on the margin P - C, cost has no reclaimable VAT
+
+export const VAT_SCHEMES = ["standard", "margin"];
+export const VAT_MATCHERS = ["tags", "productType", "vendor"];
+
+const isPlainObject = (x) => x != null && typeof x === "object" && !Array.isArray(x);
+
+function checkVat(where, x, errors, { rateRequired }) {
+  if (rateRequired || "rate" in x) {
+    if (typeof x.rate !== "number" || !(x.rate >= 0 && x.rate < 1)) {
+      errors.push(`${where}.rate: muss eine Zahl >= 0 und < 1 sein (ist ${JSON.stringify(x.rate)})`);
+    }
+  }
+  if ("scheme" in x && !VAT_SCHEMES.includes(x.scheme)) {
+    errors.push(`${where}.scheme: muss einer von ${VAT_SCHEMES.join(", ")} sein (ist ${JSON.stringify(x.scheme)})`);
+  }
+}
+
+export function validateVatModel(doc) {
+  const errors = [];
+  if (!isPlainObject(doc) || doc.version !== 1 || !isPlainObject(doc.default)) {
+    return ['erwartet { "version": 1, "default": { "rate": ... }, "rules": [ ... ] }'];
+  }
+  for (const key of Object.keys(doc)) {
+    if (!["version", "default", "rules"].includes(key)) errors.push(`unbekannter Schlüssel "${key}"`);
+  }
+  for (const key of Object.keys(doc.default)) {
+    if (!["rate", "scheme"].includes(key)) errors.push(`default: unbekannter Schlüssel "${key}"`);
+  }
+  checkVat("default", doc.default, errors, { rateRequired: true });
+
+  const rules = doc.rules ?? [];
+  if (!Array.isArray(rules)) {
+    errors.push("rules: muss eine Liste sein");
+    return errors;
+  }
+  rules.forEach((rule, i) => {
+    const where = `rules[${i}]`;
+    if (!isPlainObject(rule)) return errors.push(`${where}: muss ein Objekt sein`);
+    for (const key of Object.keys(rule)) {
+      if (![...VAT_MATCHERS, "rate", "scheme"].includes(key)) errors.push(`${where}: unbekannter Schlüssel "${key}"`);
+    }
+    const matchers = VAT_MATCHERS.filter(m => m in rule);
+    if (!matchers.length) errors.push(`${where}: mindestens einer von ${VAT_MATCHERS.join(", ")} nötig`);
+    for (const m of matchers) {
+      const xs = rule[m];
+      if (!Array.isArray(xs) || !xs.length || xs.some(x => typeof x !== "string" || !x.trim())) {
+        errors.push(`${where}.${m}: muss eine Liste nicht-leerer Strings sein`);
+      }
+    }
+    if (!("rate" in rule) && !("scheme" in rule)) errors.push(`${where}: rate oder scheme nötig`);
+    checkVat(where, rule, errors, { rateRequired: false });
+  });
+  return errors;
+}
+
+/**
+ * Loads the VAT model. Returns { file, hash, default, rules } — default: { rate, scheme },
+ * rules: [{ index, tags, productType, vendor (lower-case lists or null), rate, scheme }].
+ */
+export function loadVatModel(filePath) {
+  const abs = path.resolve(filePath);
+  if (!fs.existsSync(abs)) throw new Error(`MwSt-Datei nicht gefunden: ${abs}`);
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(abs, "utf8"));
+  } catch (err) {
+    throw new Error(`MwSt-Datei ist kein gültiges JSON: ${abs}\n${err.message}`);
+  }
+  const errors = validateVatModel(doc);
+  if (errors.length) throw new Error(`MwSt-Modell ungültig (${abs}):\n- ${errors.join("\n- ")}`);
+
+  const fallback = { rate: doc.default.rate, scheme: doc.default.scheme ?? "standard" };
+  return {
+    file: abs,
+    hash: crypto.createHash("sha256").update(JSON.stringify(doc)).digest("hex").slice(0, 12),
+    default: fallback,
+    rules: (doc.rules ?? []).map((rule, index) => ({
+      index,
+      ...Object.fromEntries(VAT_MATCHERS.map(m => [m, rule[m]?.map(normTag) ?? null])),
+      rate: rule.rate ?? fallback.rate,
+      scheme: rule.scheme ?? "standard",
+    })),
+  };
+}
+
+// VAT of a product: { rate, scheme, rule } — rule: "rules[<i>]" or "default"
+export function vatOf(p, model) {
+  const tags = (p.tagsArr || []).map(normTag);
+  const values = { tags, productType: [normTag(p.productType)], vendor: [normTag(p.vendor)] };
+  const rule = model.rules.find(r => VAT_MATCHERS.every(m => !r[m] || r[m].some(x => values[m].includes(x))));
+  return rule
+    ? { rate: rule.rate, scheme: rule.scheme, rule: `rules[${rule.index}]` }
+    : { ...model.default, rule: "default" };
+}
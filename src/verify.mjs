@@ -0,0 +1,155 @@
+import fs from "node:fs";
+import path from "node:path";
+import { readTable } from "./table.mjs";
+import {
+  stripBom, normHeader, normTag, parseTags, toNumberOrNull, approxEqualMoney, isAsLowAsColumn,
+  isVariantAsLowAsColumn, MONEY_TOLERANCE,
+} from "./products.mjs";
+import { DEFAULT_MF_COL, DEFAULT_VARIANT_MF_COL } from "./product-plan.mjs";
+import { hasDraftTag } from "./tag-rules.mjs";
+
+// ---------- Import verifier ----------
+// Reads generated Matrixify import files back and checks them against the export they were
+// built from. Only the files and the export count, not the planning code that wrote them.
+// A value equal to the export (e.g. a rollback restoring it) is never a violation.
+
+export const VERIFY_CHECKS = [
+  "metafield-header", // spotted.as_low_as column header differs from the export (or the default)
+  "unknown-product",  // ID empty or not in the export
+  "variant-product",  // Variant ID is not a variant of the row's product
+  "conflict",         // product or variant repeated with a different value
+  "tags-dropped",     // Tags REPLACE drops a tag the tag rules do not own
+  "price",            // Variant Price missing, not a number, <= 0 or above the MSRP
+  "status",           // Status other than Draft, Active for a drafted product, or the export value
+];
+
+export const VERIFY_REPORT_HEADERS = [
+  "file", "line", "productId", "variantId", "check", "column", "value", "message", "pricing_profile", "pricing_profile_hash",
+];
+
+const IMPORT_FILE = /^matrixify\.import\..+\.(csv|xlsx)$/i;
+
+// matrixify.import.*.csv|.xlsx in dir, sorted by name
+export function listImportFiles(dir) {
+  if (!fs.existsSync(dir)) throw new Error(`Verzeichnis nicht gefunden: ${dir}`);
+  return fs.readdirSync(dir).filter(f => IMPORT_FILE.test(f)).sort().map(f => path.join(dir, f));
+}
+
+const isMetafieldColumn = (h) => /^(variant )?metafield:/.test(normHeader(h));
+const isMarketPriceColumn = (h) => /^variant price \/ /.test(normHeader(h));
+const isVariantColumn = (h) => /^variant (command|price|metafield:)/.test(normHeader(h));
+const PRODUCT_COLUMNS = ["tags", "tags command", "status"];
+
+/**
+ * Checks one import file. exp: readProducts() result of the export, tagRules: loadTagRules().
+ * Returns the violations: [{ file, line, productId, variantId, check, column, value, message,
+ * pricing_profile, pricing_profile_hash }] (profile from the file's "Pricing Profile" columns).
+ */
+export async function verifyImportFile(filePath, exp, tagRules) {
+  const file = path.basename(filePath);
+  const violations = [];
+  const fail = (line, productId, variantId, check, column, value, message) =>
+    violations.push({ file, line, productId, variantId, check, column, value, message });
+
+  // Tags the tag rules set or remove (type tags, draft tag); every other tag must survive a REPLACE
+  const owned = new Set(Object.values(tagRules.types).flatMap(t => [...t.want.map(normTag), ...t.unwanted]));
+  if (tagRules.draftTag) owned.add(normTag(tagRules.draftTag));
+
+  let header = null;
+  let profile = { pricing_profile: "", pricing_profile_hash: "" };
+  const withProfile = () => violations.map(x => ({ ...x, ...profile }));
+  const seenProducts = new Map(); // productId -> column -> { value, line }
+  const seenVariants = new Map(); // variantId -> column -> { value, line }
+
+  // A repeated product/variant must carry the same values; empty cells mean "unchanged",
+  // except for metafields where an empty cell deletes the value
+  const checkRepeat = (seen, key, row, columns, line, productId, variantId) => {
+    if (!seen.has(key)) seen.set(key, new Map());
+    const first = seen.get(key);
+    for (const col of columns) {
+      const value = row[col];
+      if (value === "" && !isMetafieldColumn(col)) continue;
+      const prev = first.get(col);
+      if (!prev) first.set(col, { value, line });
+      else if (prev.value !== value) {
+        fail(line, productId, variantId, "conflict", col, value, `Zeile ${prev.line} hat ${JSON.stringify(prev.value)}`);
+      }
+    }
+  };
+
+  for await (const { cells, line } of readTable(filePath).records) {
+    if (!header) {
+      header = cells.map(h => stripBom(h).trim());
+      if (!header.some(h => normHeader(h) === "id")) {
+        fail(line, "", "", "unknown-product", "ID", "", 'Spalte "ID" fehlt');
+        return withProfile();
+      }
+      // Same header as the export; without one in the export the run writes the default
+      for (const col of [header.find(isAsLowAsColumn), header.find(isVariantAsLowAsColumn)]) {
+        if (!col) continue;
+        const expected = isAsLowAsColumn(col)
+          ? (exp.metafieldColName ?? DEFAULT_MF_COL)
+          : (exp.variantMetafieldColName ?? DEFAULT_VARIANT_MF_COL);
+        if (col !== expected) fail(line, "", "", "metafield-header", col, col, `erwartet "${expected}"`);
+      }
+      continue;
+    }
+
+    const row = Object.fromEntries(header.map((h, i) => [h, (cells[i] ?? "").trim()]));
+    const cell = (name) => row[header.find(h => normHeader(h) === name)] ?? "";
+    const productId = cell("id");
+    const variantId = cell("variant id");
+    if (!profile.pricing_profile && cell("pricing profile")) {
+      profile = { pricing_profile: cell("pricing profile"), pricing_profile_hash: cell("pricing profile hash") };
+    }
+
+    const p = exp.products.get(productId);
+    if (!p) {
+      fail(line, productId, variantId, "unknown-product", "ID", productId, productId ? "Produkt nicht im Export" : "ID leer");
+      continue;
+    }
+    const v = variantId ? p.variants.find(x => x.variantId === variantId) : null;
+    if (variantId && !v) {
+      fail(line, productId, variantId, "variant-product", "Variant ID", variantId, `Variante gehört nicht zu Produkt ${productId}`);
+    }
+
+    checkRepeat(seenProducts, productId, row,
+      header.filter(h => PRODUCT_COLUMNS.includes(normHeader(h)) || (isMetafieldColumn(h) && !isVariantColumn(h))), line, productId, "");
+    if (variantId) checkRepeat(seenVariants, variantId, row, header.filter(isVariantColumn), line, productId, variantId);
+
+    // Tags: REPLACE keeps every tag the rules do not own
+    if (normTag(cell("tags command")) === "replace") {
+      const written = new Set(parseTags(cell("tags"), tagRules.separator).map(normTag));
+      const dropped = p.tagsArr.filter(t => !owned.has(normTag(t)) && !written.has(normTag(t)));
+      if (dropped.length) fail(line, productId, "", "tags-dropped", "Tags", cell("tags"), `fehlt: ${dropped.join(", ")}`);
+    }
+
+    // Status: Draft, Active for a Draft product with the draft tag (reactivation), or the export value (rollback)
+    const status = cell("status");
+    const reactivation = normTag(status) === "active" && normTag(p.status) === "draft" && hasDraftTag(p.tagsArr, tagRules);
+    if (status && normTag(status) !== "draft" && !reactivation && normTag(status) !== normTag(p.status)) {
+      const draftTag = tagRules.draftTag ? ` "${tagRules.draftTag}"` : "";
+      fail(line, productId, "", "status", "Status", status,
+        `erlaubt: Draft, der Export-Wert "${p.status}" oder Active für Draft-Produkte mit Draft-Tag${draftTag}`);
+    }
+
+    // Prices: positive and at most the MSRP; market prices positive (no MSRP in the market currency)
+    if (variantId) {
+      const price = cell("variant price");
+      const n = toNumberOrNull(price);
+      const unchanged = !!v?.priceRaw && approxEqualMoney(price, v.priceRaw);
+      if (!price) fail(line, productId, variantId, "price", "Variant Price", price, "Variant ID gesetzt, aber Variant Price leer");
+      else if (!unchanged && !(n > 0)) fail(line, productId, variantId, "price", "Variant Price", price, "muss eine Zahl > 0 sein");
+      else if (!unchanged && v?.compareAt > 0 && n > v.compareAt + MONEY_TOLERANCE) {
+        fail(line, productId, variantId, "price", "Variant Price", price, `über MSRP ${v.compareAt}`);
+      }
+    }
+    for (const col of header.filter(isMarketPriceColumn)) {
+      const value = row[col];
+      if (!value) continue;
+      const n = toNumberOrNull(value);
+      if (!(n > 0)) fail(line, productId, variantId, "price", col, value, "muss eine Zahl > 0 sein");
+    }
+  }
+  return withProfile();
+}
@@ -0,0 +1,94 @@
+import ExcelJS from "exceljs";
+
+export const PRODUCTS_SHEET = "Products";
+
+export function isXlsxPath(filePath) {
+  return /\.xlsx$/i.test(String(filePath));
+}
+
+// ExcelJS cell value -> the string Matrixify would have written into the CSV export
+function cellToString(v) {
+  if (v == null) return "";
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v === "object") {
+    if (Array.isArray(v.richText)) return v.richText.map(x => x.text ?? "").join("");
+    if ("result" in v) return cellToString(v.result); // formula
+    if ("text" in v) return cellToString(v.text);     // hyperlink
+    if ("error" in v) return "";
+    return String(v);
+  }
+  return String(v);
+}
+
+/**
+ * Streams the "Products" sheet of a Matrixify .xlsx export.
+ * Same shape as readCsv(): { delimiter: null, records } with records yielding
+ * { cells, line, raw }, line being the worksheet row number.
+ */
+export function readXlsx(filePath, sheetName = PRODUCTS_SHEET) {
+  async function* records() {
+    const reader = new ExcelJS.stream.xlsx.WorkbookReader(filePath, {
+      sharedStrings: "cache",
+      styles: "cache", // needed to recognise date cells
+      hyperlinks: "ignore",
+      worksheets: "emit",
+    });
+
+    const seen = [];
+    for await (const sheet of reader) {
+      seen.push(sheet.name);
+      if (String(sheet.name).trim().toLowerCase() !== sheetName.toLowerCase()) {
+        for await (const _row of sheet) { /* drain */ }
+        continue;
+      }
+
+      let width = 0;
+      for await (const row of sheet) {
+        const values = row.values; // 1-based, sparse
+        if (!width) width = values.length - 1;
+        const cells = [];
+        for (let i = 1; i <= Math.max(width, values.length - 1); i++) cells.push(cellToString(values[i]));
+        if (cells.every(c => c.trim() === "")) continue;
+        yield { cells, line: row.number, raw: cells.join(" | ") };
+      }
+      return;
+    }
+
+    throw new Error(`Sheet "${sheetName}" nicht gefunden in ${filePath} (vorhanden: ${seen.join(", ") || "keine"})`);
+  }
+
+  return { delimiter: null, records: records() };
+}
+
+/**
+ * Streams one or more sheets into an .xlsx workbook.
+ * sheets: [{ name, headers, rows, formatted }] — formatted adds a bold, frozen,
+ * filterable header row and column widths (for the preview workbook).
+ */
+export async function writeXlsx(filePath, sheets) {
+  const wb = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filePath, useStyles: true, useSharedStrings: false });
+
+  for (const { name, headers, rows, formatted = false } of sheets) {
+    const ws = wb.addWorksheet(name, formatted ? { views: [{ state: "frozen", ySplit: 1 }] } : {});
+
+    if (formatted) {
+      ws.columns = headers.map(h => ({ key: h, width: Math.min(40, Math.max(10, String(h).length + 2)) }));
+      ws.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: Math.max(1, headers.length) } };
+    }
+
+    const head = ws.addRow(headers);
+    if (formatted) {
+      head.font = { bold: true };
+      head.fill = { type: "pattern", pattern: "solid", fgColor: { argb: "FFE8E8E8" } };
+    }
+    head.commit();
+
+    for (const r of rows) {
+      // Booleans as "true"/"false" text, like the CSV outputs
+      ws.addRow(headers.map(h => (typeof r[h] === "boolean" ? String(r[h]) : (r[h] ?? "")))).commit();
+    }
+    ws.commit();
+  }
+
+  await wb.commit();
+}
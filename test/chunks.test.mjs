@@ -0,0 +1,178 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import crypto from "node:crypto";
+import { execFileSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { splitChunks, chunkBaseName, removeStaleChunks, chunkEntry } from "../src/chunks.mjs";
+import { writeCsv, csvByteLength, readCsv } from "../src/csv.mjs";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+
+// Variant rows per product: 1000 → 1 row, 1001 → 3 rows, ...
+const VARIANTS = { 1000: 1, 1001: 3, 1002: 2, 1003: 4, 1004: 1, 1005: 2 };
+const rowsOf = (variants) => Object.entries(variants)
+  .flatMap(([id, n]) => Array.from({ length: n }, (_, i) => ({ ID: id, "Variant ID": `${id}-${i + 1}`, "Variant Price": "100" })));
+const ids = (chunks) => chunks.map(c => [...new Set(c.map(r => r.ID))]);
+
+// Every product's rows end up in exactly one chunk, in their original order
+function assertProductsWhole(chunks, rows) {
+  const seen = new Map();
+  chunks.forEach((c, i) => c.forEach(r => {
+    assert.equal(seen.get(r.ID) ?? i, i, `product ${r.ID} in chunk ${seen.get(r.ID)} and ${i}`);
+    seen.set(r.ID, i);
+  }));
+  assert.deepEqual(chunks.flat(), rows);
+}
+
+describe("splitChunks", () => {
+  const rows = rowsOf(VARIANTS);
+  const headers = Object.keys(rows[0]);
+  const bytes = {
+    headerBytes: csvByteLength(headers, [], { header: true }),
+    bytesOf: (group) => csvByteLength(headers, group),
+  };
+
+  test("row limit: products are never split, a larger product gets a chunk of its own", () => {
+    const chunks = splitChunks(rows, { maxRows: 3 });
+    assertProductsWhole(chunks, rows);
+    assert.deepEqual(ids(chunks), [["1000"], ["1001"], ["1002"], ["1003"], ["1004", "1005"]]);
+    assert.deepEqual(chunks.map(c => c.length), [1, 3, 2, 4, 3]);
+  });
+
+  test("row limit: a product exactly at the limit fills the chunk", () => {
+    const chunks = splitChunks(rows, { maxRows: 4 });
+    assertProductsWhole(chunks, rows);
+    assert.deepEqual(ids(chunks), [["1000", "1001"], ["1002"], ["1003"], ["1004", "1005"]]);
+  });
+
+  test("byte limit counts the header in every chunk", () => {
+    const maxBytes = bytes.headerBytes + bytes.bytesOf(rows.slice(1, 4));
+    const chunks = splitChunks(rows, { maxBytes, ...bytes });
+    assertProductsWhole(chunks, rows);
+    assert.deepEqual(ids(chunks), [["1000"], ["1001"], ["1002"], ["1003"], ["1004", "1005"]]);
+    assert.deepEqual(chunks.map(c => bytes.headerBytes + bytes.bytesOf(c) <= maxBytes), [true, true, true, false, true]);
+  });
+
+  test("both limits: whichever is reached first", () => {
+    const maxBytes = bytes.headerBytes + bytes.bytesOf(rows.slice(0, 2));
+    assert.deepEqual(ids(splitChunks(rows, { maxRows: 10, maxBytes, ...bytes })), [["1000"], ["1001"], ["1002"], ["1003"], ["1004"], ["1005"]]);
+    assert.deepEqual(ids(splitChunks(rows, { maxRows: 2, maxBytes: 1e9, ...bytes })), [["1000"], ["1001"], ["1002"], ["1003"], ["1004"], ["1005"]]);
+  });
+
+  test("the same ID later in the file is a new group", () => {
+    const split = [{ ID: "1" }, { ID: "2" }, { ID: "1" }];
+    assert.deepEqual(splitChunks(split, { maxRows: 2 }), [[{ ID: "1" }, { ID: "2" }], [{ ID: "1" }]]);
+  });
+
+  test("no rows: one empty chunk", () => {
+    assert.deepEqual(splitChunks([], { maxRows: 3 }), [[]]);
+  });
+});
+
+describe("chunk files", () => {
+  let dir;
+  before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), "chunks-test-")); });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("chunkBaseName numbers parts from 001", () => {
+    assert.equal(chunkBaseName("matrixify.import.full", 0), "matrixify.import.full.part-001");
+    assert.equal(chunkBaseName("matrixify.import.full", 11), "matrixify.import.full.part-012");
+  });
+
+  test("removeStaleChunks removes the single file and its parts, nothing else", () => {
+    const names = [
+      "matrixify.import.full.csv", "matrixify.import.full.part-001.csv", "matrixify.import.full.part-012.csv",
+      "matrixify.import.full.xlsx", "matrixify.import.full-x.part-001.csv", "matrixify.import.fullpart-001.csv",
+      "matrixify.import.test-20.csv",
+    ];
+    for (const f of names) fs.writeFileSync(path.join(dir, f), "");
+    removeStaleChunks(dir, "matrixify.import.full", ".csv");
+    assert.deepEqual(fs.readdirSync(dir).sort(), [
+      "matrixify.import.full-x.part-001.csv", "matrixify.import.full.xlsx", "matrixify.import.fullpart-001.csv",
+      "matrixify.import.test-20.csv",
+    ]);
+  });
+
+  test("chunkEntry: products, rows, bytes and sha256 of the written file", async () => {
+    const rows = rowsOf({ 1000: 1, 1001: 3 });
+    const filePath = path.join(dir, "part.csv");
+    await writeCsv(filePath, Object.keys(rows[0]), rows);
+    const content = fs.readFileSync(filePath);
+    assert.deepEqual(await chunkEntry(filePath, rows), {
+      file: "part.csv", products: 2, rows: 4, bytes: content.length,
+      sha256: crypto.createHash("sha256").update(content).digest("hex"),
+    });
+    assert.equal(content.length, csvByteLength(Object.keys(rows[0]), rows, { header: true }));
+  });
+});
+
+describe("run with --chunk-rows / --chunk-bytes", () => {
+  let dir;
+  const HEADER = "ID,Handle,Title,Tags,Status,Variant ID,Variant Position,Variant Price,Variant Compare At Price,Variant Cost";
+
+  const run = (outDir, ...flags) => {
+    execFileSync(process.execPath, [
+      path.join(ROOT, "src/matrixify-run.mjs"), "run", "--input", path.join(dir, "Products.csv"),
+      "--out-dir", outDir, "--outputs", "full,manifest", ...flags,
+    ], { cwd: ROOT, stdio: "pipe" });
+    return JSON.parse(fs.readFileSync(path.join(outDir, "manifest.json"), "utf8"));
+  };
+
+  async function productsOf(filePath) {
+    const ids = [];
+    for await (const { cells } of readCsv(filePath).records) ids.push(cells[0]);
+    return ids.slice(1);
+  }
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "chunks-test-"));
+    const lines = Object.entries(VARIANTS).flatMap(([id, n]) => Array.from({ length: n }, (_, i) =>
+      `${id},handle-${id},Title ${id},${i ? "" : "standard"},${i ? "" : "Active"},${id}${i},${i + 1},150,200,80`));
+    fs.writeFileSync(path.join(dir, "Products.csv"), [HEADER, ...lines].join("\n") + "\n");
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("manifest lists every part; parts keep products whole and match their checksums", async () => {
+    const outDir = path.join(dir, "rows");
+    const manifest = run(outDir, "--chunk-rows", "3");
+    assert.deepEqual(manifest.chunking, { maxRows: 3, maxBytes: null });
+    const [full] = manifest.imports;
+    assert.equal(full.name, "matrixify.import.full");
+    assert.equal(full.chunks.reduce((n, c) => n + c.rows, 0), full.rows);
+
+    const owner = new Map();
+    for (const c of full.chunks) {
+      const filePath = path.join(outDir, c.file);
+      const content = fs.readFileSync(filePath);
+      assert.equal(c.bytes, content.length);
+      assert.equal(c.sha256, crypto.createHash("sha256").update(content).digest("hex"));
+      const productIds = await productsOf(filePath);
+      assert.equal(productIds.length, c.rows);
+      assert.ok(c.rows <= 3 || c.products === 1, `${c.file}: ${c.rows} rows`);
+      for (const id of productIds) {
+        assert.equal(owner.get(id) ?? c.file, c.file, `product ${id} in ${owner.get(id)} and ${c.file}`);
+        owner.set(id, c.file);
+      }
+    }
+    assert.deepEqual([...owner.keys()], Object.keys(VARIANTS));
+    assert.deepEqual(full.chunks.map(c => c.file), full.chunks.map((_, i) => `${chunkBaseName(full.name, i)}.csv`));
+  });
+
+  test("--chunk-bytes keeps every part with more than one product under the limit", () => {
+    const outDir = path.join(dir, "bytes");
+    const manifest = run(outDir, "--chunk-bytes", "512");
+    const [full] = manifest.imports;
+    assert.ok(full.chunks.length > 1);
+    for (const c of full.chunks) assert.ok(c.bytes <= 512 || c.products === 1, `${c.file}: ${c.bytes} bytes`);
+  });
+
+  test("a later run without chunking removes the parts", () => {
+    const outDir = path.join(dir, "rows");
+    const manifest = run(outDir);
+    assert.deepEqual(manifest.imports[0].chunks.map(c => c.file), ["matrixify.import.full.csv"]);
+    assert.deepEqual(fs.readdirSync(outDir).filter(f => f.startsWith("matrixify.import.full")), ["matrixify.import.full.csv"]);
+  });
+});
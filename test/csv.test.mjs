@@ -0,0 +1,65 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { readCsv } from "../src/csv.mjs";
+
+async function collect(filePath) {
+  const { delimiter, records } = readCsv(filePath);
+  const out = [];
+  for await (const { cells, line } of records) out.push({ line, id: cells[0] });
+  return { delimiter, records: out };
+}
+
+describe("readCsv line numbers", () => {
+  let dir;
+  const write = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+  before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), "csv-test-")); });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("physical start line across quoted newlines and empty lines", async () => {
+    const filePath = write("lines.csv", [
+      "ID,Title",
+      "1,plain",
+      '2,"two',
+      'lines"',
+      "",
+      "3,after empty line",
+      '4,"three',
+      "",
+      'lines"',
+      "5,last",
+    ].join("\n") + "\n");
+    const { records } = await collect(filePath);
+    assert.deepEqual(records, [
+      { line: 1, id: "ID" },
+      { line: 2, id: "1" },
+      { line: 3, id: "2" },
+      { line: 6, id: "3" },
+      { line: 7, id: "4" },
+      { line: 10, id: "5" },
+    ]);
+  });
+
+  test("BOM, CRLF and semicolons", async () => {
+    const filePath = write("crlf.csv", "\uFEFFID;Title\r\n1;a\r\n\r\n2;\"b\r\nc\"\r\n3;d\r\n");
+    const { delimiter, records } = await collect(filePath);
+    assert.equal(delimiter, ";");
+    assert.deepEqual(records, [
+      { line: 1, id: "ID" },
+      { line: 2, id: "1" },
+      { line: 4, id: "2" },
+      { line: 6, id: "3" },
+    ]);
+  });
+
+  test("a broken record fails with the line it starts on", async () => {
+    const filePath = write("broken.csv", 'ID,Title\n1,ok\n2,"unclosed\n3,next\n');
+    await assert.rejects(collect(filePath), /FAIL-FAST: CSV-Datensatz ab Zeile 3 ist kaputt/);
+  });
+});
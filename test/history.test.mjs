@@ -0,0 +1,145 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFileSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { diffSnapshots, findOscillations, copyRunOutputs } from "../src/history.mjs";
+import { readCsv } from "../src/csv.mjs";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+
+const entry = (id, x = {}) => ({
+  id, handle: `h-${id}`, type: "standard", status: "Active", price: 100, asLowAs: 80, tags: ["standard"],
+  quarantine: false, ...x,
+});
+const snap = (...entries) => new Map(entries.map(x => [x.id, x]));
+
+async function readRows(filePath) {
+  const rows = [];
+  let header = null;
+  for await (const { cells } of readCsv(filePath).records) {
+    if (!header) header = cells;
+    else rows.push(Object.fromEntries(header.map((h, i) => [h, cells[i]])));
+  }
+  return rows;
+}
+
+describe("diffSnapshots", () => {
+  test("one row per changed field, new and removed products", () => {
+    const from = snap(
+      entry("1"),
+      entry("2"),
+      entry("3", { type: "low-margin", status: "Active", tags: ["low-margin", "Sale"] }),
+      entry("4"),
+    );
+    const to = snap(
+      entry("1"),
+      entry("2", { price: 90, asLowAs: "" }),
+      entry("3", { type: "standard", status: "Draft", tags: ["sale", "standard"] }),
+      entry("5", { type: "used" }),
+    );
+    const rows = diffSnapshots(from, to).map(x => [x.productId, x.change, x.from, x.to, x.delta_pct]);
+    assert.deepEqual(rows, [
+      ["2", "price", 100, 90, -10],
+      ["2", "as_low_as", 80, "", ""],
+      ["3", "type", "low-margin", "standard", ""],
+      ["3", "status", "Active", "Draft", ""],
+      ["3", "tags", "low-margin, Sale", "sale, standard", ""],
+      ["5", "new", "", "used", ""],
+      ["4", "removed", "standard", "", ""],
+    ]);
+  });
+
+  test("status, tags and prices compare case-insensitively and to the cent", () => {
+    const from = snap(entry("1", { status: "active", tags: ["Standard", "Sale"], price: "100.00" }));
+    const to = snap(entry("1", { status: "Active", tags: ["sale", "standard"], price: 100.004 }));
+    assert.deepEqual(diffSnapshots(from, to), []);
+  });
+});
+
+describe("findOscillations", () => {
+  test("counts type changes across runs, ignoring runs without the product", () => {
+    const snapshots = [
+      snap(entry("1"), entry("2")),
+      snap(entry("1", { type: "low-margin" }), entry("2")),
+      snap(entry("2", { type: "low-margin" })),
+      snap(entry("1"), entry("2", { type: "low-margin" })),
+    ];
+    assert.deepEqual(findOscillations(snapshots, 1), [
+      { productId: "1", handle: "h-1", changes: 2, types: "standard > low-margin > — > standard" },
+    ]);
+    assert.deepEqual(findOscillations(snapshots, 2), []);
+  });
+});
+
+describe("diff command", () => {
+  let dir;
+  const runIds = [1, 2, 3, 4].map(d => `2026-01-0${d}T00-00-00-000Z`);
+  // Types per run: 1 flips in every run, 2 only in the oldest, 3 twice but once before the window
+  const types = {
+    1: ["standard", "low-margin", "standard", "low-margin"],
+    2: ["standard", "low-margin", "low-margin", "low-margin"],
+    3: ["used", "standard", "used", "used"],
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "history-test-"));
+    runIds.forEach((runId, i) => {
+      const runDir = path.join(dir, "history", runId);
+      fs.mkdirSync(runDir, { recursive: true });
+      const profile = i < 2 ? { name: "default", hash: "aaa" } : { name: "sale-week", hash: "bbb" };
+      fs.writeFileSync(path.join(runDir, "run.json"),
+        JSON.stringify({ runId, pricingProfile: profile.name, pricingProfileHash: profile.hash }));
+      fs.writeFileSync(path.join(runDir, "snapshot.jsonl"),
+        Object.entries(types).map(([id, t]) => JSON.stringify(entry(id, { type: t[i] }))).join("\n") + "\n");
+    });
+    execFileSync(process.execPath, [
+      path.join(ROOT, "src/matrixify-run.mjs"), "diff",
+      "--history-dir", path.join(dir, "history"), "--out-dir", path.join(dir, "out"), "--window", "3",
+    ], { stdio: "pipe" });
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("diff.csv: newest two runs with both profiles", async () => {
+    const rows = await readRows(path.join(dir, "out", "diff.csv"));
+    assert.deepEqual(rows.map(x => [x.productId, x.change, x.from, x.to]), [["1", "type", "standard", "low-margin"]]);
+    assert.equal(rows[0].pricing_profile_from, "sale-week");
+    assert.equal(rows[0].pricing_profile_hash_to, "bbb");
+  });
+
+  test("oscillation.csv: only the last --window runs count", async () => {
+    const rows = await readRows(path.join(dir, "out", "oscillation.csv"));
+    assert.deepEqual(rows.map(x => [x.productId, x.changes, x.types]), [["1", "2", "low-margin > standard > low-margin"]]);
+    assert.equal(rows[0].pricing_profiles, "default@aaa > sale-week@bbb > sale-week@bbb");
+  });
+});
+
+describe("copyRunOutputs", () => {
+  let dir;
+  before(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), "history-test-")); });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("copies the output files with their layout, skipping directories and files outside", () => {
+    const outDir = path.join(dir, "out");
+    const runDir = path.join(dir, "history", "run");
+    fs.mkdirSync(path.join(outDir, "shopify"), { recursive: true });
+    fs.mkdirSync(runDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, "matrixify.import.rollback.csv"), "ID\n1\n");
+    fs.writeFileSync(path.join(outDir, "shopify", "tagsAdd.jsonl"), "{}\n");
+    fs.writeFileSync(path.join(dir, "elsewhere.csv"), "x\n");
+
+    const copies = copyRunOutputs(runDir, outDir, [
+      path.join(outDir, "matrixify.import.rollback.csv"),
+      path.join(outDir, "shopify", "tagsAdd.jsonl"),
+      path.join(outDir, "shopify"),
+      path.join(dir, "elsewhere.csv"),
+    ]);
+    assert.deepEqual(copies, [
+      path.join(runDir, "out", "matrixify.import.rollback.csv"),
+      path.join(runDir, "out", "shopify", "tagsAdd.jsonl"),
+    ]);
+    assert.equal(fs.readFileSync(copies[0], "utf8"), "ID\n1\n");
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  roundPrice, computePricing, checkGuardrails, netAmounts, breakEvenPrice, estimateMargin,
+  combineVariantTypes, productAsLowAs, round2,
+} from "../src/pricing.mjs";
+import { loadPricingProfile } from "../src/pricing-profile.mjs";
+
+describe("per-variant type merging", () => {
+  test("combineVariantTypes: the most restrictive type wins", () => {
+    assert.equal(combineVariantTypes(["standard", "low-margin"]), "low-margin");
+    assert.equal(combineVariantTypes(["standard", "low-margin", "used"]), "used");
+    assert.equal(combineVariantTypes(["standard", "skip"]), "standard");
+    assert.equal(combineVariantTypes(["skip"]), "skip");
+    assert.equal(combineVariantTypes([]), "skip");
+  });
+
+  test("productAsLowAs: lowest variant as-low-as of standard products", () => {
+    const plans = [{ asLowAs: 120 }, { asLowAs: 95.5 }, { asLowAs: null }];
+    assert.equal(productAsLowAs("standard", plans), 95.5);
+    assert.equal(productAsLowAs("low-margin", plans), null);
+    assert.equal(productAsLowAs("standard", [{ asLowAs: null }]), null);
+  });
+});
+
+describe("checkGuardrails", () => {
+  const profile = loadPricingProfile().params;
+  const guardrail = (plan, v = { variantId: "5000", price: 150 }, params = profile) =>
+    checkGuardrails(v, { M: 200, C: 100, asLowAs: null, ...plan }, params).map(x => x.rule);
+
+  test("no rule broken", () => {
+    assert.deepEqual(guardrail({ priceNew: 180 }), []);
+    assert.deepEqual(guardrail({ priceNew: null }), []);
+  });
+
+  test("each rule", () => {
+    assert.deepEqual(guardrail({ priceNew: 160 }, { variantId: "5000", price: 100 }), ["max-change"]);
+    assert.deepEqual(guardrail({ priceNew: 99 }), ["cost-floor"]);
+    assert.deepEqual(guardrail({ priceNew: 180, asLowAs: 100 }), ["as-low-as-floor"]);
+    assert.deepEqual(guardrail({ priceNew: 210 }), ["msrp-cap"]);
+  });
+
+  test("value and limit of a broken rule", () => {
+    const [x] = checkGuardrails({ variantId: "5000", price: 100 }, { M: 200, C: 100, priceNew: 160, asLowAs: null }, profile);
+    assert.deepEqual(x, { rule: "max-change", variantId: "5000", value: 60, limit: 50 });
+  });
+
+  test("a null guardrail is disabled", () => {
+    const params = { ...profile, guardrails: { max_change_pct: null, min_cost_ratio: null, min_as_low_as_margin: null, max_msrp_ratio: null } };
+    assert.deepEqual(guardrail({ priceNew: 99, asLowAs: 95 }, { variantId: "5000", price: 10 }, params), []);
+  });
+});
+
+describe("roundPrice", () => {
+  test("no strategy rounds to cents", () => {
+    assert.deepEqual(roundPrice(186.456, null), { value: 186.46, limited: null });
+  });
+
+  test("ending in the given direction", () => {
+    const s = { step: 1, ending: 0.95 };
+    assert.deepEqual(roundPrice(186.4, { ...s, direction: "nearest" }), { value: 185.95, limited: null });
+    assert.deepEqual(roundPrice(186.6, { ...s, direction: "nearest" }), { value: 186.95, limited: null });
+    assert.deepEqual(roundPrice(186.1, { ...s, direction: "up" }), { value: 186.95, limited: null });
+    assert.deepEqual(roundPrice(186.9, { ...s, direction: "down" }), { value: 185.95, limited: null });
+  });
+
+  test("falls back below the cap", () => {
+    const r = roundPrice(199.5, { step: 10, ending: 9, direction: "up" }, { cap: 200 });
+    assert.deepEqual(r, { value: 199, limited: "cap" });
+  });
+
+  test("falls back above the floor", () => {
+    const r = roundPrice(100.2, { step: 1, ending: 0.9, direction: "down" }, { floor: 100 });
+    assert.deepEqual(r, { value: 100.9, limited: "floor" });
+  });
+
+  test("plain cents when no ending fits between floor and cap", () => {
+    const r = roundPrice(100.5, { step: 1, ending: 0.95, direction: "nearest" }, { cap: 100.8, floor: 100.2 });
+    assert.deepEqual(r, { value: 100.5, limited: "none-fits" });
+  });
+
+  test("a limit the raw price already breaks is not enforced", () => {
+    const r = roundPrice(210, { step: 10, ending: 9, direction: "nearest" }, { cap: 200 });
+    assert.deepEqual(r, { value: 209, limited: null });
+  });
+});
+
+describe("computePricing with markdown", () => {
+  const profile = loadPricingProfile().params;
+  const fees = profile.classification;
+  const lowMarginRaw = (M, C) => C * (1 + profile.lowMargin.alpha + profile.lowMargin.beta * Math.log10(M / C)) + profile.lowMargin.N;
+
+  test("no markdown without a bucket", () => {
+    const plain = computePricing(1003, 284, "standard", profile);
+    assert.equal(plain.markdown, null);
+    assert.deepEqual(computePricing(1003, 284, "standard", profile, { markdown: { bucket: null, pct: null } }), plain);
+  });
+
+  test("markdown lowers price and as-low-as by pct", () => {
+    const plain = computePricing(1003, 284, "standard", profile);
+    const r = computePricing(1003, 284, "standard", profile, { markdown: { bucket: "old", pct: 0.25 } });
+    assert.equal(r.price_new_raw, round2(plain.price_new_raw * 0.75));
+    assert.equal(r.as_low_as_raw, round2(plain.as_low_as_raw * 0.75));
+    assert.equal(r.markdown.bucket, "old");
+    assert.equal(round2(r.markdown.amount), round2(plain.price_new_raw * 0.25));
+  });
+
+  test("standard markdown stops at the low-margin price and break-even", () => {
+    const M = 1003;
+    const C = 284;
+    const r = computePricing(M, C, "standard", profile, { markdown: { bucket: "clearance", pct: 0.9 } });
+    assert.equal(r.price_new_raw, round2(Math.min(M, lowMarginRaw(M, C))));
+    assert.equal(r.as_low_as_raw, Math.ceil(breakEvenPrice(C, fees) * 100) / 100);
+    assert.ok(estimateMargin(r.as_low_as, C, fees).G >= 0);
+  });
+
+  test("low-margin markdown stops at the cost floor", () => {
+    const r = computePricing(559, 438, "low-margin", profile, { markdown: { bucket: "old", pct: 0.25 } });
+    assert.equal(r.price_new, 438);
+    assert.equal(round2(r.markdown.amount), 121);
+  });
+
+  test("markdown never raises a price already below its floor", () => {
+    const M = 600;
+    const C = 290;
+    const params = { ...profile, guardrails: { ...profile.guardrails, min_cost_ratio: 2 } };
+    const plain = computePricing(M, C, "low-margin", params);
+    const r = computePricing(M, C, "low-margin", params, { markdown: { bucket: "old", pct: 0.25 } });
+    assert.ok(plain.price_new_raw < C * 2);
+    assert.equal(r.price_new_raw, plain.price_new_raw);
+    assert.equal(r.markdown.amount, 0);
+  });
+});
+
+describe("VAT", () => {
+  const fees = loadPricingProfile().params.classification;
+
+  test("netAmounts: without VAT, standard and margin scheme", () => {
+    assert.deepEqual(netAmounts(119, 50, null), { P_net: 119, C_net: 50 });
+
+    const std = netAmounts(119, 59.5, { rate: 0.19, scheme: "standard" });
+    assert.equal(round2(std.P_net), 100);
+    assert.equal(round2(std.C_net), 50);
+
+    // Margin scheme: VAT only on the margin, the cost keeps its amount
+    const margin = netAmounts(119, 50, { rate: 0.19, scheme: "margin" });
+    assert.equal(round2(margin.P_net), round2(119 - 69 * (0.19 / 1.19)));
+    assert.equal(margin.C_net, 50);
+    assert.deepEqual(netAmounts(40, 50, { rate: 0.19, scheme: "margin" }), { P_net: 40, C_net: 50 });
+  });
+
+  test("breakEvenPrice: G = 0 without VAT and in both schemes", () => {
+    for (const vat of [null, { rate: 0.19, scheme: "standard" }, { rate: 0.19, scheme: "margin" }]) {
+      const P = breakEvenPrice(300, fees, vat);
+      assert.ok(P > 300);
+      assert.ok(Math.abs(estimateMargin(P, 300, fees, vat).G) < 1e-9, JSON.stringify(vat));
+    }
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { readProducts } from "../src/products.mjs";
+
+const HEADER = "ID,Handle,Tags,Status,Variant ID,Variant Position,Variant Price,Variant Compare At Price,Variant Cost,Variant Price / Switzerland";
+const ROW = "1000,handle-0,standard,active,5000,1,150,200,100,180";
+
+describe("readProducts market columns", () => {
+  let dir;
+  let csvPath;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "products-test-"));
+    csvPath = path.join(dir, "Products.csv");
+    fs.writeFileSync(csvPath, `${HEADER}\n${ROW}\n`);
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("reads configured market columns into variant.extra", async () => {
+    const { products } = await readProducts(csvPath, { log: () => {}, extraColumns: ["Variant Price / Switzerland"] });
+    assert.equal(products.get("1000").variants[0].extra["Variant Price / Switzerland"], "180");
+  });
+
+  test("fails fast when a configured market column is not in the export", async () => {
+    await assert.rejects(
+      readProducts(csvPath, { log: () => {}, extraColumns: ["Variant Price / Switzerland", "Variant Price / United States"] }),
+      /FAIL-FAST: Markt-Spalten fehlen im Export: "Variant Price \/ United States"/
+    );
+  });
+});
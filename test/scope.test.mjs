@@ -0,0 +1,48 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTagExpression } from "../src/scope.mjs";
+
+describe("parseTagExpression", () => {
+  test("a and (b or not c)", () => {
+    const match = parseTagExpression("a and (b or not c)");
+    assert.equal(match(["a"]), true);
+    assert.equal(match(["a", "b"]), true);
+    assert.equal(match(["a", "b", "c"]), true);
+    assert.equal(match(["a", "c"]), false);
+    assert.equal(match(["b"]), false);
+    assert.equal(match([]), false);
+  });
+
+  test("NOT binds tighter than AND, AND tighter than OR", () => {
+    const match = parseTagExpression("a or b and not c");
+    assert.equal(match(["a", "c"]), true);
+    assert.equal(match(["b"]), true);
+    assert.equal(match(["b", "c"]), false);
+  });
+
+  test("tags match case-insensitively, operators in any case", () => {
+    const match = parseTagExpression("Preloved AND not SALE");
+    assert.equal(match(["preloved"]), true);
+    assert.equal(match(["PRELOVED", "Sale"]), false);
+    assert.equal(parseTagExpression("preowned / defect")(["Preowned / Defect"]), true);
+    assert.equal(parseTagExpression('"and" or "Low-Margin"')(["low-margin"]), true);
+  });
+
+  test("unbalanced parentheses", () => {
+    assert.throws(() => parseTagExpression("(a and b"), /"\)" fehlt/);
+    assert.throws(() => parseTagExpression("a and b)"), /unerwartetes "\)"/);
+    assert.throws(() => parseTagExpression("()"), /unerwartetes "\)"/);
+  });
+
+  test("trailing and dangling operators", () => {
+    assert.throws(() => parseTagExpression("a and"), /unerwartetes Ende/);
+    assert.throws(() => parseTagExpression("a or not"), /unerwartetes Ende/);
+    assert.throws(() => parseTagExpression("or a"), /unerwartetes "OR"/);
+    assert.throws(() => parseTagExpression("a and or b"), /unerwartetes "OR"/);
+  });
+
+  test("empty expression and stray quote", () => {
+    assert.throws(() => parseTagExpression("  "), /leer/);
+    assert.throws(() => parseTagExpression('a and "b'), /ungültiges Zeichen/);
+  });
+});
@@ -0,0 +1,112 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import http from "node:http";
+import { applyBulkFiles, writeBulkFiles } from "../src/shopify-graphql.mjs";
+
+// ---------- Local mock of the Admin GraphQL endpoint ----------
+// Each test queues the responses for its requests; without a queued response every alias
+// of the batch succeeds.
+let server;
+let endpoint;
+let requests = [];
+let queue = [];
+
+const aliasesOf = (query) => [...query.matchAll(/(op\d+): /g)].map(m => m[1]);
+const success = (query, userErrorsByAlias = {}) => ({
+  body: { data: Object.fromEntries(aliasesOf(query).map(a => [a, { userErrors: userErrorsByAlias[a] ?? [] }])) },
+});
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", d => { raw += d; });
+    req.on("end", () => {
+      const payload = JSON.parse(raw);
+      requests.push({ headers: req.headers, ...payload });
+      const next = queue.shift();
+      const { status = 200, headers = {}, body } = typeof next === "function" ? next(payload.query) : (next ?? success(payload.query));
+      res.writeHead(status, { "content-type": "application/json", ...headers });
+      res.end(JSON.stringify(body ?? {}));
+    });
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  endpoint = `http://127.0.0.1:${server.address().port}/admin/api/2025-01/graphql.json`;
+});
+
+after(() => new Promise(r => server.close(r)));
+
+// Bulk files with `count` tagsAdd operations; returns { dir, logPath }
+function bulkDir(count) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "apply-"));
+  const tagsAdd = Array.from({ length: count }, (_, i) => ({ id: `gid://shopify/Product/${1000 + i}`, tags: ["standard"] }));
+  writeBulkFiles(dir, { tagsAdd }, { name: "default", hash: "abc123" });
+  return { dir, logPath: path.join(dir, "apply.log.jsonl") };
+}
+
+async function apply(count, opts = {}) {
+  requests = [];
+  const { dir, logPath } = bulkDir(count);
+  const stats = await applyBulkFiles(dir, { endpoint, token: "shpat_test", logPath, maxRetries: 2, log: () => {}, ...opts });
+  const log = fs.readFileSync(logPath, "utf8").split("\n").filter(Boolean).map(l => JSON.parse(l));
+  fs.rmSync(dir, { recursive: true, force: true });
+  return { stats, log };
+}
+
+test("sends batchSize operations per request as aliases, with the access token", async () => {
+  queue = [];
+  const { stats, log } = await apply(25, { batchSize: 10 });
+
+  assert.equal(requests.length, 3);
+  assert.deepEqual(requests.map(r => aliasesOf(r.query).length), [10, 10, 5]);
+  assert.equal(requests[0].headers["x-shopify-access-token"], "shpat_test");
+  assert.deepEqual(requests[1].variables.id0, "gid://shopify/Product/1010");
+  assert.deepEqual(requests[1].variables.tags0, ["standard"]);
+
+  assert.deepEqual(stats, { ok: 25, failed: 0 });
+  assert.deepEqual(log.map(x => x.index), Array.from({ length: 25 }, (_, i) => i));
+  assert.ok(log.every(x => x.ok && x.mutation === "tagsAdd"));
+});
+
+test("retries HTTP 429 after Retry-After", async () => {
+  queue = [{ status: 429, headers: { "retry-after": "1" }, body: {} }];
+  const { stats } = await apply(2);
+
+  assert.equal(requests.length, 2);
+  assert.deepEqual(requests[0].variables, requests[1].variables);
+  assert.deepEqual(stats, { ok: 2, failed: 0 });
+});
+
+test("retries a THROTTLED GraphQL error", async () => {
+  queue = [{
+    body: {
+      errors: [{ message: "Throttled", extensions: { code: "THROTTLED" } }],
+      extensions: { cost: { requestedQueryCost: 50, throttleStatus: { currentlyAvailable: 20, restoreRate: 50 } } },
+    },
+  }];
+  const { stats } = await apply(2);
+
+  assert.equal(requests.length, 2);
+  assert.deepEqual(stats, { ok: 2, failed: 0 });
+});
+
+test("logs a userError only for its own operation", async () => {
+  queue = [(query) => success(query, { op1: [{ field: ["tags"], message: "bad tag" }] })];
+  const { stats, log } = await apply(3);
+
+  assert.deepEqual(stats, { ok: 2, failed: 1 });
+  assert.deepEqual(log.map(x => x.ok), [true, false, true]);
+  assert.deepEqual(log[1].userErrors, [{ field: ["tags"], message: "bad tag" }]);
+  assert.deepEqual(log[1].errors, []);
+});
+
+test("fails the whole batch on a non-retryable HTTP error without retrying", async () => {
+  queue = [{ status: 401, body: { errors: [{ message: "Invalid API key" }] } }];
+  const { stats, log } = await apply(2);
+
+  assert.equal(requests.length, 1);
+  assert.deepEqual(stats, { ok: 0, failed: 2 });
+  assert.deepEqual(log[0].errors, ["Invalid API key", "HTTP 401"]);
+});
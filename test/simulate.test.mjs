@@ -0,0 +1,50 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { compareScenario } from "../src/simulate.mjs";
+
+const profile = { name: "default", hash: "abc123" };
+
+function outcome(rows) {
+  return new Map(rows.map(([id, typeOld, type, priceOld, price]) => [id, {
+    handle: `h-${id}`, typeOld, type, priceOld, price, asLowAs: null, quarantine: false,
+  }]));
+}
+
+describe("compareScenario type changes", () => {
+  test("against the export: type tags before, skipped products excluded", () => {
+    const x = outcome([
+      ["1", "standard", "standard", 100, 100],
+      ["2", "untagged", "low-margin", 100, 90],
+      ["3", "standard", "used", 100, 80],
+      ["4", "low-margin", "skip", 100, null],
+      ["5", "untagged", "skip", null, null],
+    ]);
+    const { summary, transitions, movers } = compareScenario("default", profile, x, null);
+
+    assert.equal(summary.compared_to, "export");
+    assert.equal(summary.type_changes, 2);
+    assert.equal(summary.transitions, "untagged->low-margin:1 standard->used:1");
+    assert.deepEqual(transitions.map(t => [t.from, t.to, t.products]), [["untagged", "low-margin", 1], ["standard", "used", 1]]);
+    assert.deepEqual(movers.map(m => [m.productId, m.type_before, m.type]), [["3", "standard", "used"], ["2", "untagged", "low-margin"]]);
+  });
+
+  test("against a baseline: types of the baseline, skip counts as a type", () => {
+    const baseline = outcome([
+      ["1", "standard", "standard", 100, 100],
+      ["2", "untagged", "low-margin", 100, 90],
+      ["3", "standard", "skip", 100, null],
+    ]);
+    const x = outcome([
+      ["1", "standard", "low-margin", 100, 95],
+      ["2", "untagged", "low-margin", 100, 92],
+      ["3", "standard", "standard", 100, 120],
+    ]);
+    const { summary, movers } = compareScenario("sale", profile, x, baseline);
+
+    assert.equal(summary.compared_to, "baseline");
+    assert.equal(summary.type_changes, 2);
+    assert.equal(summary.transitions, "standard->low-margin:1 skip->standard:1");
+    // price deltas only where both sides have a price
+    assert.deepEqual(movers.map(m => [m.productId, m.type_before, m.delta]), [["1", "standard", -5], ["2", "low-margin", 2]]);
+  });
+});
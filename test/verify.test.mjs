@@ -0,0 +1,173 @@
+import { describe, test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { verifyImportFile } from "../src/verify.mjs";
+import { readProducts } from "../src/products.mjs";
+import { loadTagRules } from "../src/tag-rules.mjs";
+
+const ROOT = fileURLToPath(new URL("..", import.meta.url));
+const MF = "Metafield: spotted.as_low_as [number_decimal]";
+
+// 1000: active, 5001 already above its MSRP; 1001: drafted by an earlier run; 1002: drafted by hand
+const EXPORT = [
+  `ID,Handle,Tags,Status,Variant ID,Variant Position,Variant Price,Variant Compare At Price,Variant Cost,${MF}`,
+  '1000,handle-0,"bag, standard",Active,5000,1,150,200,100,120',
+  "1000,handle-0,,,5001,2,250,200,100,",
+  '1001,handle-1,"auto-drafted:pricing, low-margin",Draft,5010,1,100,120,90,',
+  "1002,handle-2,shoe,Draft,5020,1,80,100,50,",
+].join("\n") + "\n";
+
+const HEADER = ["ID", "Command", "Tags", "Tags Command", "Status", "Variant ID", "Variant Command", "Variant Price", MF,
+  "Pricing Profile", "Pricing Profile Hash"];
+
+const row = (id, variantId, price, { tags = "", status = "", mf = "" } = {}) =>
+  [id, "UPDATE", tags ? `"${tags}"` : "", tags ? "REPLACE" : "", status, variantId, "UPDATE", price, mf, "default", "abc123"].join(",");
+
+const CLEAN = [
+  row("1000", "5000", "140", { tags: "bag, low-margin", mf: "112" }),
+  row("1000", "5001", "250", { tags: "bag, low-margin", mf: "112" }),
+  row("1001", "5010", "100", { status: "Active" }),
+  row("1002", "5020", "80", { status: "Draft" }),
+];
+
+describe("verifyImportFile", () => {
+  let dir;
+  let exp;
+  let tagRules;
+  let n = 0;
+
+  const importFile = (rows, header = HEADER) => {
+    const filePath = path.join(dir, `matrixify.import.t${n++}.csv`);
+    fs.writeFileSync(filePath, [header.join(","), ...rows].join("\n") + "\n");
+    return filePath;
+  };
+  const verify = async (rows, header) => verifyImportFile(importFile(rows, header), exp, tagRules);
+  const checks = async (rows, header) => (await verify(rows, header)).map(x => [x.check, x.line, x.column]);
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "verify-test-"));
+    fs.writeFileSync(path.join(dir, "Products.csv"), EXPORT);
+    exp = await readProducts(path.join(dir, "Products.csv"), { log: () => {} });
+    tagRules = loadTagRules();
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("a clean file has no violations", async () => {
+    assert.deepEqual(await checks(CLEAN), []);
+  });
+
+  test("metafield-header: column name differs from the export", async () => {
+    const header = HEADER.map(h => (h === MF ? "Metafield: spotted.as_low_as [number]" : h));
+    assert.deepEqual(await checks(CLEAN, header), [["metafield-header", 1, "Metafield: spotted.as_low_as [number]"]]);
+  });
+
+  test("unknown-product and variant-product", async () => {
+    assert.deepEqual(await checks([
+      row("9999", "5000", "140"),
+      row("", "5000", "140"),
+      row("1000", "5010", "100"),
+    ]), [
+      ["unknown-product", 2, "ID"],
+      ["unknown-product", 3, "ID"],
+      ["variant-product", 4, "Variant ID"],
+    ]);
+  });
+
+  test("conflict: a product or variant repeated with different values", async () => {
+    const found = await verify([
+      row("1000", "5000", "140", { tags: "bag, low-margin", mf: "112" }),
+      row("1000", "5001", "250", { tags: "bag, standard", mf: "" }),
+      row("1000", "5000", "141", { mf: "112" }),
+    ]);
+    assert.deepEqual(found.map(x => [x.check, x.line, x.column]), [
+      ["conflict", 3, "Tags"],
+      ["conflict", 3, MF],
+      ["conflict", 4, "Variant Price"],
+    ]);
+    assert.equal(found[0].message, 'Zeile 2 hat "bag, low-margin"');
+  });
+
+  test("tags-dropped: REPLACE without a tag the rules do not own", async () => {
+    const found = await verify([row("1000", "5000", "140", { tags: "low-margin" })]);
+    assert.deepEqual(found.map(x => [x.check, x.message]), [["tags-dropped", "fehlt: bag"]]);
+  });
+
+  test("price: empty, not positive, not a number or above the MSRP", async () => {
+    const found = await verify([
+      row("1000", "5000", ""),
+      row("1000", "5000", "0"),
+      row("1000", "5000", "-5"),
+      row("1000", "5000", "abc"),
+      row("1000", "5000", "200.01"),
+      row("1000", "5001", "250"), // unchanged from the export, above the MSRP there too
+    ]);
+    assert.deepEqual(found.filter(x => x.check === "price").map(x => [x.line, x.message]), [
+      [2, "Variant ID gesetzt, aber Variant Price leer"],
+      [3, "muss eine Zahl > 0 sein"],
+      [4, "muss eine Zahl > 0 sein"],
+      [5, "muss eine Zahl > 0 sein"],
+      [6, "über MSRP 200"],
+    ]);
+  });
+
+  test("price: market prices must be positive", async () => {
+    const header = [...HEADER, "Variant Price / Switzerland"];
+    assert.deepEqual(await checks([
+      `${row("1000", "5000", "140")},160`,
+      `${row("1000", "5001", "250")},0`,
+    ], header), [["price", 3, "Variant Price / Switzerland"]]);
+  });
+
+  test("status: Draft, the export value, or Active for a product with the draft tag", async () => {
+    const found = await verify([
+      row("1000", "5000", "140", { status: "Draft" }),
+      row("1001", "5010", "100", { status: "Active" }),
+      row("1002", "5020", "80", { status: "Draft" }),
+      row("1002", "5020", "80", { status: "Active" }),
+      row("1000", "5001", "250", { status: "Active" }),
+      row("1000", "5001", "250", { status: "Archived" }),
+    ]);
+    const status = found.filter(x => x.check === "status");
+    assert.deepEqual(status.map(x => [x.line, x.productId, x.value]), [[5, "1002", "Active"], [7, "1000", "Archived"]]);
+    assert.equal(status[0].message, 'erlaubt: Draft, der Export-Wert "Draft" oder Active für Draft-Produkte mit Draft-Tag "auto-drafted:pricing"');
+  });
+
+  test("violations carry the file's pricing profile", async () => {
+    const [x] = await verify([row("9999", "5000", "140")]);
+    assert.deepEqual([x.file.startsWith("matrixify.import."), x.pricing_profile, x.pricing_profile_hash], [true, "default", "abc123"]);
+  });
+});
+
+describe("verify command", () => {
+  let dir;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "verify-test-"));
+    fs.writeFileSync(path.join(dir, "Products.csv"), EXPORT);
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const run = (rows) => {
+    fs.writeFileSync(path.join(dir, "matrixify.import.only-changes.csv"), [HEADER.join(","), ...rows].join("\n") + "\n");
+    return spawnSync(process.execPath, [
+      path.join(ROOT, "src/matrixify-run.mjs"), "verify", "--input", path.join(dir, "Products.csv"), "--dir", dir,
+    ], { cwd: ROOT, encoding: "utf8" });
+  };
+
+  test("exit code 0 without violations", () => {
+    const r = run(CLEAN);
+    assert.equal(r.status, 0, r.stderr);
+    assert.match(r.stdout, /violations=0/);
+  });
+
+  test("exit code 1 with violations, all of them in verify.report.csv", () => {
+    const r = run([row("9999", "5000", "140"), row("1002", "5020", "0")]);
+    assert.equal(r.status, 1);
+    assert.match(r.stderr, /\[unknown-product\] 9999\/5000/);
+    const report = fs.readFileSync(path.join(dir, "verify.report.csv"), "utf8").trim().split("\n");
+    assert.equal(report.length, 3);
+  });
+});